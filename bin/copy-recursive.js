@@ -0,0 +1,8 @@
+#!/usr/bin/env node
+import { run } from '../lib/cli.js';
+
+// The first Ctrl+C stops the copy cleanly, a second one exits at once.
+const controller = new AbortController();
+process.once('SIGINT', () => controller.abort());
+
+process.exitCode = await run(process.argv.slice(2), { signal: controller.signal });
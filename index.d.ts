@@ -0,0 +1,245 @@
+import { EventEmitter } from 'events';
+import { Readable, Writable } from 'stream';
+
+/** The fields of `fs.Stats` the copy reads, as returned by `localFs` and `createMemoryFs()`. */
+export interface Stats {
+  dev: number;
+  ino: number;
+  mode: number;
+  uid: number;
+  gid: number;
+  size: number;
+  mtimeMs: number;
+  atime: Date;
+  mtime: Date;
+  isFile(): boolean;
+  isDirectory(): boolean;
+  isSymbolicLink(): boolean;
+}
+
+export type Pattern = string | ((relativePath: string, sourcePath: string, stats: Stats) => boolean);
+
+export interface FileInfo {
+  /** Source path. */
+  src: string;
+  /** Path relative to the task destination, as matched by filters. */
+  relative: string;
+  /** Stats of the source file; `null` for files removed in watch mode. */
+  stats: Stats | null;
+}
+
+export interface TransformFileInfo extends FileInfo {
+  /** Destination path. */
+  dest: string;
+  stats: Stats;
+}
+
+export type TransformResult = Buffer | Uint8Array | string | Readable | undefined | null;
+
+export type Transform = (contents: Buffer | Readable, file: TransformFileInfo) => TransformResult | Promise<TransformResult>;
+
+export type Rename = (fileName: string, file: FileInfo) => string;
+
+export interface FileSystem {
+  stat(path: string): Promise<Stats>;
+  readdir(path: string): Promise<string[]>;
+  mkdir(path: string, options?: { recursive?: boolean }): Promise<string | undefined>;
+  access(path: string): Promise<void>;
+  rm(path: string, options?: { recursive?: boolean; force?: boolean }): Promise<void>;
+  /** Falls back to `stat`, so symlinks are followed. */
+  lstat?(path: string): Promise<Stats>;
+  /** At least one of `copyFile`, `readFile`, `writeFile` and the stream factories is required. */
+  copyFile?(source: string, dest: string): Promise<void>;
+  readFile?(path: string): Promise<Buffer>;
+  writeFile?(path: string, data: Buffer | Uint8Array | string): Promise<void>;
+  createReadStream?(path: string): Readable;
+  createWriteStream?(path: string): Writable;
+  /** Needed by `atomic`, `transaction` and `'backup'`. */
+  rename?(oldPath: string, newPath: string): Promise<void>;
+  /** Needed by `symlinks: 'preserve'`. */
+  symlink?(target: string, path: string): Promise<void>;
+  readlink?(path: string): Promise<string>;
+  /** Needed by `preserve`. */
+  chmod?(path: string, mode: number): Promise<void>;
+  chown?(path: string, uid: number, gid: number): Promise<void>;
+  lchown?(path: string, uid: number, gid: number): Promise<void>;
+  utimes?(path: string, atime: Date, mtime: Date): Promise<void>;
+  lutimes?(path: string, atime: Date, mtime: Date): Promise<void>;
+}
+
+export interface CopyTask {
+  /** Optional task name, reported in events and selectable with `--task`. */
+  name?: string;
+  /** Source path(s) or glob pattern(s); patterns starting with `!` exclude matches. */
+  src: string | string[];
+  /** Destination path; paths ending in `.zip`, `.tar`, `.tar.gz` or `.tgz` are written as archives. */
+  dest: string;
+  /** Maximum copy depth, 0 for unlimited. */
+  depth?: number;
+  /** Maximum copy height, 0 for unlimited. */
+  height?: number;
+  /**
+   * Whether to flatten the directory structure: `true` keeps file names only, a number drops that many leading
+   * folders, `'prefix'` joins folder names into the file name and a function maps relative paths to destination paths.
+   */
+  flatten?: boolean | number | 'prefix' | ((relativePath: string, file: { src: string; stats: Stats | null }) => string);
+  /** Separator of the `'prefix'` flatten strategy. */
+  flattenSeparator?: string;
+  conflictResolution?: 'overwrite' | 'skip' | 'rename' | 'update' | 'backup';
+  /** Template (`{name}`, `{ext}`, `{n}`, `{timestamp}`, `{hash8}`) or function naming `'rename'` copies. */
+  renamePattern?: string | ((candidate: { name: string; ext: string; n: number; dir: string; src: string }) => string);
+  /** Directory receiving the files replaced by `'backup'`, instead of a suffixed copy. */
+  backupDir?: string;
+  /** Suffix of the files replaced by `'backup'`. */
+  backupSuffix?: string;
+  logLevel?: 'none' | 'verbose' | 'brief' | 'ndjson' | 'summary';
+  /** How `'update'` detects changed files. */
+  compare?: 'mtime' | 'size' | 'hash';
+  /** Path of a JSON file caching content hashes between runs. */
+  manifest?: string;
+  /** Path of a JSON file recording the files the task completed, saved while it runs. */
+  journal?: string;
+  /** Whether to skip the files `journal` lists as done, while neither they nor their copy changed. */
+  resume?: boolean;
+  /** Whether to delete destination entries missing from the sources. */
+  mirror?: boolean;
+  /** Destination entries mirroring never deletes. */
+  protect?: Pattern | Pattern[];
+  failFast?: boolean;
+  strict?: boolean;
+  dryRun?: boolean;
+  include?: Pattern | Pattern[];
+  exclude?: Pattern | Pattern[];
+  /** Destination file names, from a function or a map of globs to templates (`{name}`, `{ext}`, `{base}`) or functions. */
+  rename?: Rename | Record<string, string | Rename>;
+  /** Content transform, or map of globs to transforms. */
+  transform?: Transform | Record<string, Transform>;
+  /** Whether transforms receive a readable stream instead of a buffer. */
+  transformStreams?: boolean;
+  symlinks?: 'follow' | 'preserve' | 'skip';
+  preserve?: Array<'mode' | 'timestamps' | 'ownership'>;
+  /** Whether to write each file to a temporary name and rename it into place. */
+  atomic?: boolean;
+  /** Whether to stage all files and move them into place only if the whole task succeeds. */
+  transaction?: boolean;
+  /** Whether to read `.zip`, `.tar`, `.tar.gz` and `.tgz` sources as folders instead of copying the files. */
+  extract?: boolean;
+  /** Filesystem of the task; defaults to the run `fs`, then the local disk. */
+  fs?: FileSystem;
+  /** Filesystem of the sources, when it differs from `fs`. */
+  srcFs?: FileSystem;
+  /** Filesystem of the destination, when it differs from `fs`. */
+  destFs?: FileSystem;
+}
+
+export interface Totals {
+  files: number;
+  bytes: number;
+  totalFiles: number | null;
+  totalBytes: number | null;
+}
+
+export interface FileEntry {
+  src: string | null;
+  dest: string;
+  action: 'copied' | 'overwritten' | 'skipped' | 'unchanged' | 'renamed' | 'removed' | 'deleted';
+  bytes: number;
+  duration: number;
+  transformed: boolean;
+  /** Where the previous destination file was moved, for `'backup'` conflicts. */
+  backup?: string;
+}
+
+export interface FileEvent extends FileEntry {
+  task: number;
+  totals: Totals;
+}
+
+export interface Warning {
+  code: string;
+  message: string;
+  src: string | null;
+  dest: string | null;
+}
+
+export interface Report {
+  files: FileEntry[];
+  errors: CopyError[];
+  warnings: Warning[];
+  bytes: number;
+  duration: number;
+}
+
+export interface Output {
+  log(...args: unknown[]): void;
+  error(...args: unknown[]): void;
+}
+
+export interface RunOptions {
+  /** Maximum number of files copied at once. */
+  concurrency?: number;
+  emitter?: EventEmitter;
+  onFile?: (event: FileEvent) => void;
+  onProgress?: (progress: Totals & { percent: number | null }) => void;
+  /** Whether to plan the whole run first so progress events carry accurate totals. */
+  scan?: boolean;
+  logger?: Output | ((event: string, ...args: unknown[]) => void);
+  /** Maximum length of paths in brief output, 0 to never shorten. */
+  pathLength?: number;
+  color?: boolean;
+  /** Filesystem of the tasks without their own `fs`. */
+  fs?: FileSystem;
+  /** Signal stopping the copy between files and interrupting streamed copies; the copy then rejects with an `AbortError`. */
+  signal?: AbortSignal;
+}
+
+export interface WatchOptions extends RunOptions {
+  /** Delay in milliseconds used to group bursts of events. */
+  debounce?: number;
+}
+
+export interface ValidationIssue {
+  task: number | null;
+  key: string | null;
+  message: string;
+}
+
+export class CopyError extends Error {
+  constructor(message: string, details?: { code?: string; src?: string | null; dest?: string | null; cause?: Error });
+  code: string;
+  src: string | null;
+  dest: string | null;
+  report?: Report;
+  static from(err: Error, src: string | null, dest: string | null): CopyError;
+}
+
+export class ValidationError extends CopyError {
+  constructor(issues: ValidationIssue[]);
+  issues: ValidationIssue[];
+}
+
+export class AbortError extends CopyError {
+  /** @param reason - Abort reason of the signal, kept as `cause`. */
+  constructor(reason?: unknown);
+  code: 'ABORT_ERR';
+}
+
+type Callback = (err: CopyError | null, report: Report) => void;
+
+export default function copy(cfg: CopyTask[], options?: RunOptions, done?: Callback): Promise<Report>;
+export default function copy(cfg: CopyTask[], done: Callback): Promise<Report>;
+
+export function plan(cfg: CopyTask[], options?: RunOptions): Promise<Report>;
+
+export function watch(cfg: CopyTask[], options?: WatchOptions): Promise<{ close(): Promise<void> }>;
+
+export const localFs: Required<FileSystem>;
+
+export function createMemoryFs(options?: {
+  /** Directory the tree starts at; defaults to the root of the current drive. */
+  root?: string;
+  /** Initial contents: paths mapped to file contents, or to `null` for folders. */
+  files?: Record<string, string | Buffer | null>;
+}): Required<FileSystem>;
+
+export function validate(cfg: unknown, options?: RunOptions): Promise<{ valid: boolean; errors: ValidationIssue[]; warnings: ValidationIssue[] }>;
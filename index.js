@@ -1,67 +1,476 @@
+import { randomBytes } from 'crypto';
+import { EventEmitter } from 'events';
+import { watch as fsWatch } from 'fs';
 import fs from 'fs/promises';
 import path from 'path';
+import { archiveFormat, archiveName, openArchive } from './lib/archive.js';
+import { createFilter, createMatcher, expandGlob, globBase, globToRegExp, isGlob, isNegated, toPosix } from './lib/glob.js';
+import { AbortError, CopyError, ValidationError } from './lib/errors.js';
+import { createAdapter, createMountFs, localFs } from './lib/fs.js';
+import { loadJournal } from './lib/journal.js';
+import { loadManifest } from './lib/manifest.js';
+import { createMemoryFs } from './lib/memfs.js';
+import { createLimit } from './lib/pool.js';
+import { createReporter, formatError, OPERATIONS } from './lib/reporters.js';
+import { createRenamer, createTransformer, transformFile } from './lib/transform.js';
+import { validate } from './lib/validate.js';
+
+export { AbortError, CopyError, ValidationError, createMemoryFs, localFs, validate };
+
+/**
+ * Slack allowed when comparing modification times, as timestamps set by `fs.utimes` lose sub-millisecond precision.
+ */
+const MTIME_TOLERANCE = 1;
+
+/**
+ * Error codes of `chown` calls the process is not permitted to make.
+ */
+const OWNERSHIP_ERRORS = new Set(['EPERM', 'EINVAL', 'ENOSYS']);
 
 /**
- * Generates a unique filename by adding a suffix if the file already exists.
+ * Returns the index of the names taken in a destination directory, listing it once per task.
+ * Counters remember the last number used per file name, so repeated renames do not probe from 1 again.
+ *
+ * @param {string} dir - Destination directory.
+ * @param {Object} task - Normalized task options.
+ * @returns {Promise<{names: Set<string>, counters: Map<string, number>}>}
+ */
+async function nameIndex(dir, task) {
+  const key = path.resolve(dir);
+  if (!task.names.has(key)) {
+    const names = await task.fs.readdir(dir).catch(err => {
+      if (err.code !== 'ENOENT') throw err;
+      return [];
+    });
+    task.names.set(key, { names: new Set(names), counters: new Map() });
+  }
+  return task.names.get(key);
+}
+
+/**
+ * Renders the `n`th candidate name of a renamed file.
+ * Templates support `{name}`, `{ext}`, `{n}`, `{timestamp}` and `{hash8}`; templates without `{n}`
+ * get `_{n}` appended from the second candidate on.
+ *
+ * @param {string|Function} pattern - Template, or function `({name, ext, n, dir, src}) => fileName`.
+ * @param {Object} context - Candidate details.
+ * @param {string} context.name - File name without extension.
+ * @param {string} context.ext - Extension with its dot.
+ * @param {number} context.n - Candidate number, starting at 1.
+ * @param {string} context.dir - Destination directory.
+ * @param {string} context.src - Source path.
+ * @param {fs.Stats} context.stats - Source stats.
+ * @param {Object} task - Normalized task options.
+ * @returns {Promise<string>}
+ */
+async function renderName(pattern, { name, ext, n, dir, src, stats }, task) {
+  if (typeof pattern === 'function') return pattern({ name, ext, n, dir, src });
+  const values = {
+    name,
+    ext,
+    n,
+    timestamp: task.run.started.toISOString().replace(/[-:]/g, '').replace(/\..*$/, ''),
+    hash8: pattern.includes('{hash8}') ? (await task.manifest.hash(src, stats)).slice(0, 8) : ''
+  };
+  const fileName = pattern.replace(/\{(name|ext|n|timestamp|hash8)\}/g, (match, key) => values[key]);
+  if (pattern.includes('{n}') || n === 1) return fileName;
+  const parsed = path.parse(fileName);
+  return `${parsed.name}_${n - 1}${parsed.ext}`;
+}
+
+/**
+ * Generates a unique filename following the task's `renamePattern` if the file already exists.
+ * Existing names come from a listing of the directory, and files written or planned by the task are taken too.
  *
  * @param {string} filePath - Original path to the file.
+ * @param {Object} task - Normalized task options.
+ * @param {string} source - Path to the source file.
+ * @param {fs.Stats} stats - Stats of the source file.
  * @returns {Promise<string>} - Unique filename.
  */
-async function getUniqueFileName(filePath) {
-  let uniquePath = filePath;
-  let counter = 1;
-  while (true) {
+async function getUniqueFileName(filePath, task, source, stats) {
+  const { dir, name, ext } = path.parse(filePath);
+  const index = await nameIndex(dir, task);
+  const taken = fileName => index.names.has(fileName) || task.planned.has(path.resolve(dir, fileName));
+  const counter = `${name}${ext}`;
+  let n = index.counters.get(counter) || 0;
+  let fileName = path.basename(filePath);
+  while (taken(fileName)) {
+    n++;
+    const candidate = await renderName(task.renamePattern, { name, ext, n, dir, src: source, stats }, task);
+    if (candidate === fileName) {
+      throw new CopyError(`renamePattern returned the taken name '${candidate}' again`, { code: 'EEXIST', src: source, dest: filePath });
+    }
+    fileName = candidate;
+  }
+  index.counters.set(counter, n);
+  index.names.add(fileName);
+  return path.join(dir, fileName);
+}
+
+/**
+ * Moves an existing destination file aside before it is overwritten, replacing any previous backup.
+ *
+ * @param {string} filePath - Destination file.
+ * @param {string} backupPath - Backup location.
+ * @param {Object} task - Normalized task options.
+ * @returns {Promise<void>}
+ */
+async function backupFile(filePath, backupPath, task) {
+  await makeDir(path.dirname(backupPath), task);
+  try {
+    await task.fs.rename(filePath, backupPath);
+  } catch (err) {
+    if (err.code !== 'EXDEV') throw err;
+    await task.fs.copyFile(filePath, backupPath);
+    await task.fs.rm(filePath);
+  }
+}
+
+/**
+ * Checks whether a destination file already matches its source.
+ * Transformed files only compare modification times, as their contents differ from the source.
+ *
+ * @param {string} source - Path to the source file.
+ * @param {fs.Stats} srcStats - Stats of the source file.
+ * @param {string} destPath - Path to the destination file.
+ * @param {fs.Stats} destStats - Stats of the destination file.
+ * @param {Object} task - Normalized task options.
+ * @param {boolean} [transformed=false] - Whether the file is written through a transform.
+ * @returns {Promise<boolean>}
+ */
+async function isUnchanged(source, srcStats, destPath, destStats, task, transformed = false) {
+  if (transformed) return task.compare === 'mtime' && srcStats.mtimeMs <= destStats.mtimeMs + MTIME_TOLERANCE;
+  if (srcStats.size !== destStats.size) return false;
+  switch (task.compare) {
+    case 'size':
+      return true;
+    case 'mtime':
+      return srcStats.mtimeMs <= destStats.mtimeMs + MTIME_TOLERANCE;
+    case 'hash':
+      return await task.manifest.hash(source, srcStats) === await task.manifest.hash(destPath, destStats);
+    default:
+      throw new Error(`Unknown compare strategy: ${task.compare}`);
+  }
+}
+
+/**
+ * `file:*` event operation of each report action.
+ */
+const ACTIONS = {
+  copied: 'copy',
+  overwritten: 'overwrite',
+  skipped: 'skip',
+  unchanged: 'unchanged',
+  renamed: 'rename',
+  removed: 'remove',
+  deleted: 'prune'
+};
+
+/**
+ * Creates an empty copy report.
+ *
+ * @returns {{files: Object[], errors: CopyError[], warnings: Object[], bytes: number, duration: number}}
+ */
+function createReport() {
+  return { files: [], errors: [], warnings: [], bytes: 0, duration: 0 };
+}
+
+/**
+ * Adds a file operation to the task report and emits its `file:*` event.
+ *
+ * @param {Object} task - Normalized task options.
+ * @param {Object} entry - Report entry.
+ * @param {string|null} entry.src - Source path.
+ * @param {string} entry.dest - Destination path.
+ * @param {string} entry.action - One of the {@link ACTIONS} keys.
+ * @param {number} [entry.bytes=0] - Number of bytes written.
+ * @param {number} [entry.duration=0] - Duration in milliseconds.
+ * @param {boolean} [entry.transformed=false] - Whether the contents were written through a transform.
+ * @param {string} [entry.backup] - Where the previous destination file was moved, for `backup` conflicts.
+ */
+function recordFile(task, { src, dest, action, bytes = 0, duration = 0, transformed = false, backup }) {
+  const entry = { src, dest, action, bytes, duration, transformed, ...(backup && { backup }) };
+  const { totals, emitter } = task.run;
+  task.report.files.push(entry);
+  task.report.bytes += bytes;
+  totals.files++;
+  totals.bytes += bytes;
+  emitter.emit(`file:${ACTIONS[action]}`, { ...entry, task: task.index, totals: { ...totals } });
+}
+
+/**
+ * Adds a failed operation to the task report and emits an `error` event.
+ * Throws the error when the task is `failFast`, and rethrows errors already recorded by nested operations.
+ *
+ * @param {Object} task - Normalized task options.
+ * @param {Error} err - Error raised by the operation.
+ * @param {string|null} src - Source path.
+ * @param {string|null} dest - Destination path.
+ * @param {string} [verb='copying'] - Operation name used in log messages.
+ */
+function recordError(task, err, src, dest, verb = 'copying') {
+  const error = CopyError.from(err, src, dest);
+  if (task.report.errors.includes(error)) throw error;
+  task.report.errors.push(error);
+  task.errorCount++;
+  task.run.emitter.emit('error', error, { task: task.index, operation: verb });
+  if (task.failFast) {
+    task.run.stopped = true;
+    throw error;
+  }
+}
+
+/**
+ * Adds a warning to the task report, e.g. for planned collisions or links that cannot be followed.
+ *
+ * @param {Object} task - Normalized task options.
+ * @param {string} code - Warning code such as `ECOLLISION`.
+ * @param {string} message - Human readable description.
+ * @param {string|null} src - Source path.
+ * @param {string|null} dest - Destination path.
+ */
+function recordWarning(task, code, message, src, dest) {
+  task.report.warnings.push({ code, message, src, dest });
+}
+
+/**
+ * Subscribes the built-in reporter selected by a task's `logLevel` to the events of that task.
+ *
+ * @param {Object} run - Run state, see {@link createRun}.
+ * @param {Object} task - Normalized task options.
+ * @returns {Function} - Unsubscribes the reporter.
+ */
+function subscribeLogger(run, task) {
+  const handlers = Object.entries(createReporter(task.logLevel, run.format)).map(([event, handler]) => {
+    const filtered = event === 'error'
+      ? (error, info) => info.task === task.index && handler(error, info)
+      : payload => payload.task === task.index && handler(payload);
+    run.emitter.on(event, filtered);
+    return [event, filtered];
+  });
+  return () => handlers.forEach(([event, handler]) => run.emitter.off(event, handler));
+}
+
+/**
+ * Subscribes the error output, the custom `logger` function and the `onFile`/`onProgress` hooks to the run events.
+ *
+ * @param {Object} run - Run state, see {@link createRun}.
+ * @param {Object} options - Run options.
+ * @param {Function|Object} [options.logger] - Function called with every event, or console-like object receiving the output.
+ * @param {Function} [options.onFile] - Called with every file event payload.
+ * @param {Function} [options.onProgress] - Called with the running totals after every file.
+ * @returns {Function} - Unsubscribes the listeners.
+ */
+function subscribeRun(run, { logger, onFile, onProgress }) {
+  const { output, color } = run.format;
+  const listeners = [['error', (error, info) => output.error(...formatError(error, info, color))]];
+  for (const op of OPERATIONS) {
+    listeners.push([`file:${op}`, entry => {
+      if (onFile) onFile(entry);
+      if (onProgress) onProgress({ ...entry.totals, percent: run.totals.totalFiles ? entry.totals.files / run.totals.totalFiles * 100 : null });
+    }]);
+  }
+  if (typeof logger === 'function') {
+    for (const event of ['task:start', 'task:end', 'error', ...OPERATIONS.map(op => `file:${op}`)]) {
+      listeners.push([event, (...args) => logger(event, ...args)]);
+    }
+  }
+  listeners.forEach(([event, listener]) => run.emitter.on(event, listener));
+  return () => listeners.forEach(([event, listener]) => run.emitter.off(event, listener));
+}
+
+/**
+ * Returns a temporary path next to a file, used to write it before renaming it into place.
+ *
+ * @param {string} filePath - Path of the file.
+ * @returns {string}
+ */
+function tempPath(filePath) {
+  const { dir, base } = path.parse(filePath);
+  return path.join(dir, `.${base}.${randomBytes(4).toString('hex')}.tmp`);
+}
+
+/**
+ * Creates a directory and its missing parents, recording the first created one for transaction rollbacks.
+ *
+ * @param {string} dir - Directory to create.
+ * @param {Object} task - Normalized task options.
+ * @returns {Promise<void>}
+ */
+async function makeDir(dir, task) {
+  const created = await task.fs.mkdir(dir, { recursive: true });
+  if (created && task.transaction) task.created.push(created);
+}
+
+/**
+ * Copies a single file, unless the task is a dry run.
+ * Files without a transform keep the fast `fs.copyFile` path; preserved symlinks are recreated.
+ * Atomic writes go to a temporary file renamed into place; transactions stage that file until the task commits.
+ * Streamed writes stop when the run `signal` aborts, removing the partial file.
+ *
+ * @param {string} source - Path to the source file.
+ * @param {string} destPath - Path to the destination file.
+ * @param {Object} task - Normalized task options.
+ * @param {Object} [file] - File metadata: `relative`, `stats`, the selected `transform`, the `link` target of preserved symlinks,
+ *   the `backup` path the existing destination is moved to and the `target` path before conflict renames.
+ * @returns {Promise<number|undefined>} - Number of bytes written, when they differ from the source size.
+ */
+async function writeFile(source, destPath, task, file = {}) {
+  if (task.dryRun) return undefined;
+  const target = task.atomic || task.transaction ? tempPath(destPath) : destPath;
+  // Atomic writes move the previous file aside only once the new one is complete; transactions when committing.
+  if (file.backup && target === destPath) await backupFile(destPath, file.backup, task);
+  let bytes;
+  try {
+    if (file.link) {
+      if (target === destPath) await task.fs.rm(destPath, { force: true });
+      await task.fs.symlink(file.link, target);
+      bytes = 0;
+    } else if (file.transform) {
+      const metadata = { src: source, dest: destPath, relative: file.relative, stats: file.stats };
+      bytes = await transformFile(source, target, file.transform, metadata, task.transformStreams, task.fs, task.run.signal);
+    } else {
+      await task.fs.copyFile(source, target, { signal: task.run.signal });
+    }
+    if (task.preserve.length > 0) await preserveMetadata(target, file.stats, task, Boolean(file.link));
+    if (task.transaction) {
+      task.staged.push({ temp: target, dest: destPath, backup: file.backup, source, file });
+    } else {
+      if (target !== destPath) {
+        if (file.backup) await backupFile(destPath, file.backup, task);
+        await task.fs.rename(target, destPath);
+      }
+      await recordDone(task, source, file, destPath);
+    }
+  } catch (err) {
+    if (target !== destPath || err.code === 'ABORT_ERR') await task.fs.rm(target, { force: true });
+    throw err;
+  }
+  return bytes;
+}
+
+/**
+ * Records a written file in the task journal, so resumed runs skip it. Preserved symlinks are not recorded.
+ *
+ * @param {Object} task - Normalized task options.
+ * @param {string} source - Path to the source file.
+ * @param {Object} file - File metadata, see {@link writeFile}.
+ * @param {string} destPath - Path the file was written to.
+ * @returns {Promise<void>}
+ */
+async function recordDone(task, source, file, destPath) {
+  if (!task.journalPath || file.link) return;
+  task.journal.record(source, file.stats, file.target ?? destPath, destPath, await task.fs.stat(destPath));
+}
+
+/**
+ * Applies the metadata of a source entry to its copy. Ownership is only applied when the process is permitted to.
+ *
+ * @param {string} target - Path of the copy.
+ * @param {fs.Stats} stats - Stats of the source entry.
+ * @param {Object} task - Normalized task options, whose `preserve` lists the metadata to apply: `mode`, `timestamps` and/or `ownership`.
+ * @param {boolean} [isLink=false] - Whether the copy is a symlink, whose own metadata is changed.
+ * @returns {Promise<void>}
+ */
+async function preserveMetadata(target, stats, task, isLink = false) {
+  const { preserve } = task;
+  if (preserve.includes('ownership')) {
     try {
-      await fs.access(uniquePath);
-      const { dir, name, ext } = path.parse(filePath);
-      uniquePath = path.join(dir, `${name}_${counter}${ext}`);
-      counter++;
-    } catch {
-      return uniquePath;
+      await task.fs[isLink ? 'lchown' : 'chown'](target, stats.uid, stats.gid);
+    } catch (err) {
+      if (!OWNERSHIP_ERRORS.has(err.code)) throw err;
     }
   }
+  if (preserve.includes('mode') && !isLink) await task.fs.chmod(target, stats.mode & 0o7777);
+  if (preserve.includes('timestamps')) await task.fs[isLink ? 'lutimes' : 'utimes'](target, stats.atime, stats.mtime);
 }
 
 /**
- * Formats file path for brief logging
- * @param {string} filePath - Path to format
- * @returns {string} - Formatted path
+ * Queues a file operation: the write runs in the worker pool, after any earlier write to the same destination,
+ * while the result is recorded in walk order so logs and reports stay deterministic.
+ * Sequential runs (`concurrency` 1) wait for the operation to be recorded. Once the run `signal` aborts,
+ * queued writes no longer start and the interrupted ones are left out of the report.
+ * Transactions hold the entries back until the task commits, see {@link commitTask}.
+ *
+ * @param {Object} task - Normalized task options.
+ * @param {Object} entry - Report entry, see {@link recordFile}.
+ * @param {Function} [write] - Job writing the destination file, resolving to the bytes written when they differ
+ *   from the source size; omitted for operations without writes. It receives the entry, to change its outcome.
+ * @returns {Promise<void>}
  */
-function formatPath(filePath) {
-  const maxLength = 30;
-  if (filePath.length <= maxLength) return filePath;
-  const parts = filePath.split(path.sep);
-  const fileName = parts.pop();
-  let shortenedPath = '...' + path.sep + fileName;
-  let i = parts.length - 1;
-  while (i >= 0 && shortenedPath.length < maxLength) {
-    shortenedPath = parts[i] + path.sep + shortenedPath;
-    i--;
+async function schedule(task, entry, write) {
+  let job = Promise.resolve();
+  if (write) {
+    const key = path.resolve(entry.dest);
+    const { writes, limit } = task.run;
+    task.planned.add(key);
+    job = (writes.get(key) || Promise.resolve()).then(() => limit(async () => {
+      if (task.run.signal?.aborted) throw new AbortError(task.run.signal.reason);
+      const start = performance.now();
+      const bytes = await write(entry);
+      if (typeof bytes === 'number') entry.bytes = bytes;
+      entry.duration = performance.now() - start;
+    }));
+    writes.set(key, job.catch(() => {}));
   }
-  return shortenedPath.length > maxLength ? '...' + shortenedPath.slice(-maxLength) : shortenedPath;
+  task.queue = task.queue.then(() => job.then(
+    () => task.transaction ? task.pending.push(entry) : recordFile(task, entry),
+    err => err.code === 'ABORT_ERR' ? undefined : recordError(task, err, entry.src, entry.dest)
+  ));
+  if (task.run.concurrency <= 1) await task.queue;
 }
 
 /**
- * Logs operation in brief format
- * @param {string} operation - Operation type
- * @param {string} filePath - File path
- * @param {string} [destPath] - Destination path for copy operations
+ * Queues the metadata of a copied directory, applied once the writes of its children completed
+ * so they do not bump its timestamps. Transactions apply it after committing. See {@link schedule}.
+ *
+ * @param {Object} task - Normalized task options.
+ * @param {string} source - Path to the source directory.
+ * @param {string} destination - Path to the copied directory.
+ * @param {fs.Stats} stats - Stats of the source directory.
+ * @returns {Promise<void>}
  */
-function logBrief(operation, filePath, destPath = null) {
-  const ops = {
-    copy: '→',
-    skip: '⠿',
-    overwrite: '↺',
-    rename: '⥅'
-  };
-  const symbol = ops[operation] || '•';
-  const formattedSrc = formatPath(filePath);
-  if (destPath) {
-    const formattedDest = formatPath(destPath);
-    console.log(`${symbol} ${formattedSrc} → ${formattedDest}`);
-  } else {
-    console.log(`${symbol} ${formattedSrc}`);
+async function scheduleMetadata(task, source, destination, stats) {
+  if (task.transaction) {
+    task.deferred.push({ source, destination, stats });
+    return;
   }
+  task.queue = task.queue.then(() => preserveMetadata(destination, stats, task).catch(
+    err => recordError(task, err, source, destination)
+  ));
+  if (task.run.concurrency <= 1) await task.queue;
+}
+
+/**
+ * Queues a failed operation to be recorded in walk order, see {@link schedule}.
+ *
+ * @param {Object} task - Normalized task options.
+ * @param {Error} err - Error raised by the operation.
+ * @param {string|null} src - Source path.
+ * @param {string|null} dest - Destination path.
+ * @param {string} [verb='copying'] - Operation name used in log messages.
+ * @returns {Promise<void>}
+ */
+async function scheduleError(task, err, src, dest, verb = 'copying') {
+  task.queue = task.queue.then(() => recordError(task, err, src, dest, verb));
+  if (task.run.concurrency <= 1) await task.queue;
+}
+
+/**
+ * Computes the target of a preserved symlink. Targets inside the copied tree become relative so the copy
+ * points into the destination; other targets become absolute so they still resolve from the destination.
+ *
+ * @param {string} source - Path to the symlink.
+ * @param {string} relPath - Path of the symlink relative to the task destination.
+ * @param {Object} task - Normalized task options.
+ * @returns {Promise<string>}
+ */
+async function linkTarget(source, relPath, task) {
+  const target = path.resolve(path.dirname(source), await task.fs.readlink(source));
+  const root = path.resolve(source, ...relPath.split('/').slice(1).map(() => '..'));
+  const inside = target === root || target.startsWith(root + path.sep);
+  return inside && !task.flatten ? path.relative(path.dirname(path.resolve(source)), target) || '.' : target;
 }
 
 /**
@@ -69,119 +478,991 @@ function logBrief(operation, filePath, destPath = null) {
  *
  * @param {string} source - Path to the source file or folder.
  * @param {string} destination - Destination path.
- * @param {number} depth - Maximum copy depth.
- * @param {number} height - Maximum copy height.
- * @param {boolean} flatten - Whether to flatten directory structure.
- * @param {('overwrite'|'skip'|'rename')} conflictResolution - Conflict resolution strategy.
- * @param {('none'|'verbose'|'brief')} logLevel - Logging level.
+ * @param {Object} task - Normalized task options (see {@link normalizeTask}).
  * @param {number} [currentDepth=0] - Current nesting depth.
+ * @param {string} [relPath] - Path of the item relative to the task destination, used by filters.
+ * @param {string[]} [ancestors=[]] - `device:inode` keys of the directories being copied, to detect symlink cycles.
  * @returns {Promise<void>}
  */
-async function copyItem(source, destination, depth, height, flatten, conflictResolution, logLevel, currentDepth = 0) {
+async function copyItem(source, destination, task, currentDepth = 0, relPath = path.basename(source), ancestors = []) {
+  const { depth, height, flatten, conflictResolution, filter } = task;
+  let destPath = destination;
+  if (task.run.stopped || task.run.signal?.aborted) return;
   try {
-    const stats = await fs.stat(source);
+    let stats = await task.fs.lstat(source);
+    let link = null;
+    if (stats.isSymbolicLink()) {
+      switch (task.symlinks) {
+        case 'skip':
+          return;
+        case 'preserve':
+          link = await linkTarget(source, relPath, task);
+          if (!await task.fs.stat(source).catch(() => null)) recordWarning(task, 'EDANGLING', `Symlink '${source}' points to a missing target`, source, destination);
+          break;
+        case 'follow':
+          stats = await task.fs.stat(source).catch(err => {
+            if (err.code !== 'ENOENT') throw err;
+            return null;
+          });
+          if (!stats) {
+            recordWarning(task, 'EDANGLING', `Symlink '${source}' points to a missing target`, source, destination);
+            return;
+          }
+          break;
+        default:
+          throw new CopyError(`Unknown symlinks mode: ${task.symlinks}`, { code: 'EINVAL', src: source, dest: destination });
+      }
+    }
+    if (!filter(relPath, source, stats)) return;
 
     if (stats.isDirectory()) {
-      if (depth > 0 && currentDepth >= depth) return;
-      if (height > 0 && currentDepth >= height) return;
+      if ((depth > 0 && currentDepth >= depth) || (height > 0 && currentDepth >= height)) {
+        if (task.retained) task.retained.add(path.resolve(destination));
+        return;
+      }
+
+      const key = `${stats.dev}:${stats.ino}`;
+      if (ancestors.includes(key)) {
+        recordWarning(task, 'ECYCLE', `Symlink cycle at '${source}' not followed`, source, destination);
+        return;
+      }
 
-      const items = await fs.readdir(source);
+      // Marked before listing the source, so a folder that cannot be read is not pruned as stale.
+      if (!flatten) task.expected.add(path.resolve(destination));
+      const items = await task.fs.readdir(source);
       if (items.length === 0 && flatten) return;
 
       if (!flatten) {
         try {
-          const destStats = await fs.stat(destination);
-          if (destStats.isFile()) throw new Error(`Cannot create directory '${destination}': A file with the same name already exists.`);
+          const destStats = await task.fs.stat(destination);
+          if (destStats.isFile()) {
+            throw new CopyError(`Cannot create directory '${destination}': A file with the same name already exists.`, { code: 'ENOTDIR', src: source, dest: destination });
+          }
         } catch (err) {
-          if (err.code === 'ENOENT') await fs.mkdir(destination, { recursive: true });
-          else throw err;
+          if (err.code === 'ENOENT') {
+            if (!task.dryRun) await makeDir(destination, task);
+          } else throw err;
         }
       }
 
       for (const item of items) {
         const sourcePath = path.join(source, item);
-        const destPath = flatten ? path.join(destination, path.basename(item)) : path.join(destination, item);
-        await copyItem(sourcePath, destPath, depth, height, flatten, conflictResolution, logLevel, currentDepth + 1);
+        const itemDest = flatten ? destination : path.join(destination, item);
+        await copyItem(sourcePath, itemDest, task, currentDepth + 1, `${relPath}/${item}`, [...ancestors, key]);
       }
-    } else {
-      const destPath = flatten ? path.join(destination, path.basename(source)) : destination;
 
+      if (!flatten && !task.dryRun && task.preserve.length > 0) await scheduleMetadata(task, source, destination, stats);
+    } else {
+      destPath = flatten ? path.join(task.dest, task.flattenPath(relPath, source, stats)) : destination;
+      if (task.rename) {
+        destPath = path.join(path.dirname(destPath), task.rename(path.basename(destPath), { src: source, relative: relPath, stats }));
+      }
+      task.expected.add(path.resolve(destPath));
+      const owner = task.destinations.get(path.resolve(destPath));
+      if (owner && owner !== source) {
+        recordWarning(task, 'ECOLLISION', `'${source}' and '${owner}' both map to '${destPath}'`, source, destPath);
+      }
+      task.destinations.set(path.resolve(destPath), source);
+      let destStats;
       try {
-        const destStats = await fs.stat(destPath);
-        if (destStats.isDirectory()) throw new Error(`Cannot copy file '${source}' to '${destPath}': A directory with the same name already exists.`);
-
-        switch (conflictResolution) {
-          case 'overwrite':
-            await fs.copyFile(source, destPath);
-            if (logLevel === 'verbose') console.log(`Overwritten: ${destPath}`);
-            if (logLevel === 'brief') logBrief('overwrite', source, destPath);
-            break;
-          case 'skip':
-            if (logLevel === 'verbose') console.log(`Skipped: ${destPath}`);
-            if (logLevel === 'brief') logBrief('skip', source);
-            break;
-          case 'rename':
-            const uniquePath = await getUniqueFileName(destPath);
-            await fs.copyFile(source, uniquePath);
-            if (logLevel === 'verbose') console.log(`Renamed: ${source} -> ${uniquePath}`);
-            if (logLevel === 'brief') logBrief('rename', source, uniquePath);
+        destStats = link ? await task.fs.lstat(destPath) : await task.fs.stat(destPath);
+      } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+      }
+
+      const transform = !link && task.transform && task.transform(relPath, source, stats);
+      const file = { relative: relPath, stats, transform, link, target: destPath };
+      const entry = (action, dest = destPath, written = true) => ({
+        src: source,
+        dest,
+        action,
+        bytes: written && !link ? stats.size : 0,
+        transformed: written && Boolean(transform)
+      });
+      const planned = task.planned.has(path.resolve(destPath));
+      const done = task.resume && destStats && !link && !planned && await task.journal.completed(source, stats, destPath);
+      if (done) {
+        task.expected.add(path.resolve(done));
+        await schedule(task, entry('unchanged', done, false));
+        return;
+      }
+      if (!destStats && !planned) {
+        if (!task.dryRun) await makeDir(path.dirname(destPath), task);
+        await schedule(task, entry('copied'), () => writeFile(source, destPath, task, file));
+        return;
+      }
+
+      if (destStats && destStats.isDirectory()) {
+        throw new CopyError(`Cannot copy file '${source}' to '${destPath}': A directory with the same name already exists.`, { code: 'EISDIR', src: source, dest: destPath });
+      }
+
+      switch (conflictResolution) {
+        case 'overwrite':
+          await schedule(task, entry('overwritten'), () => writeFile(source, destPath, task, file));
+          break;
+        case 'skip':
+          await schedule(task, entry('skipped', destPath, false));
+          break;
+        case 'update': {
+          // Comparing, which may hash both files, runs in the worker pool like the write.
+          await schedule(task, entry('overwritten'), async current => {
+            const unchanged = !planned && (link
+              ? destStats.isSymbolicLink() && await task.fs.readlink(destPath) === link
+              : await isUnchanged(source, stats, destPath, destStats, task, Boolean(transform)));
+            if (unchanged) {
+              Object.assign(current, entry('unchanged', destPath, false));
+              return;
+            }
+            await writeFile(source, destPath, task, file);
+            if (task.compare === 'hash' && !transform && !link && !task.dryRun && !task.transaction) task.manifest.update(destPath, await task.fs.stat(destPath), await task.manifest.hash(source, stats));
+          });
+          break;
+        }
+        case 'backup': {
+          if (planned) {
+            await schedule(task, entry('overwritten'), () => writeFile(source, destPath, task, file));
             break;
-          default:
-            throw new Error(`Unknown conflict resolution strategy: ${conflictResolution}`);
+          }
+          const backup = task.backupDir
+            ? path.join(task.backupDir, path.relative(task.dest, destPath))
+            : destPath + task.backupSuffix;
+          task.expected.add(path.resolve(backup));
+          await schedule(task, { ...entry('overwritten'), backup }, () => writeFile(source, destPath, task, { ...file, backup }));
+          break;
+        }
+        case 'rename': {
+          const uniquePath = await getUniqueFileName(destPath, task, source, stats);
+          task.expected.add(path.resolve(uniquePath));
+          await schedule(task, entry('renamed', uniquePath), () => writeFile(source, uniquePath, task, file));
+          break;
         }
+        default:
+          throw new CopyError(`Unknown conflict resolution strategy: ${conflictResolution}`, { code: 'EINVAL', src: source, dest: destPath });
+      }
+    }
+  } catch (err) {
+    await scheduleError(task, err, source, destPath);
+  }
+}
+
+/**
+ * Builds the function mapping the relative path of a file to its path inside a flattened destination.
+ *
+ * @param {boolean|number|string|Function} flatten - `true` keeps the file name, a number drops that many
+ *   leading path segments, `'prefix'` joins all segments with `separator`, and a function returns the path itself.
+ * @param {string} separator - Separator of the `'prefix'` strategy.
+ * @returns {Function|null} - `(relativePath, sourcePath, stats) => destinationPath`, or `null` without flattening.
+ */
+function createFlattener(flatten, separator) {
+  if (!flatten) return null;
+  if (typeof flatten === 'function') return (relPath, source, stats) => flatten(relPath, { src: source, stats });
+  if (flatten === 'prefix') return relPath => relPath.split('/').join(separator);
+  if (typeof flatten === 'number') {
+    return relPath => {
+      const segments = relPath.split('/');
+      return path.join(...segments.slice(Math.min(flatten, segments.length - 1)));
+    };
+  }
+  return relPath => relPath.slice(relPath.lastIndexOf('/') + 1);
+}
+
+/**
+ * Normalizes a task configuration, applying defaults and building its entry filter.
+ *
+ * @param {Object} item - Task configuration as passed to {@link copy}.
+ * @returns {Object} - Task options used by {@link copyItem}.
+ */
+function normalizeTask(item) {
+  const {
+    src,
+    dest,
+    depth = 0,
+    height = 0,
+    flatten = false,
+    conflictResolution = 'overwrite',
+    logLevel = 'none',
+    compare = 'mtime',
+    manifest,
+    journal,
+    resume = false,
+    mirror = false,
+    protect,
+    failFast = false,
+    strict = false,
+    dryRun = false,
+    include,
+    exclude,
+    rename,
+    transform,
+    transformStreams = false,
+    symlinks = 'follow',
+    preserve = [],
+    atomic = false,
+    transaction = false,
+    extract = false,
+    renamePattern = '{name}_{n}{ext}',
+    backupDir,
+    backupSuffix = '~',
+    flattenSeparator = '-'
+  } = item;
+  const patterns = Array.isArray(src) ? src : [src];
+  const ignore = patterns.filter(isNegated).map(pattern => globToRegExp(toPosix(path.resolve(pattern.slice(1)))));
+
+  return {
+    sources: patterns.filter(pattern => !isNegated(pattern)),
+    dest,
+    depth,
+    height,
+    flatten,
+    conflictResolution,
+    logLevel,
+    compare,
+    manifestPath: manifest,
+    journalPath: journal,
+    resume,
+    mirror,
+    protect: createMatcher(protect),
+    failFast,
+    strict,
+    dryRun,
+    ignore,
+    filter: createFilter({ include, exclude, ignore }),
+    rename: createRenamer(rename),
+    transform: createTransformer(transform),
+    transformStreams,
+    symlinks,
+    preserve: [].concat(preserve),
+    atomic,
+    transaction,
+    extract,
+    renamePattern,
+    backupDir,
+    backupSuffix,
+    flattenPath: createFlattener(flatten, flattenSeparator)
+  };
+}
+
+/**
+ * Mounts an archive on the task filesystem, so its entries are walked and written like a directory.
+ * Only files with an archive extension are mounted; missing archives are mounted empty when `create` is set.
+ *
+ * @param {string} filePath - Path of the `.zip`, `.tar`, `.tar.gz` or `.tgz` file.
+ * @param {Object} task - Prepared task, see {@link prepareTask}.
+ * @param {boolean} [create=false] - Whether to mount a missing archive, e.g. a destination written for the first time.
+ * @returns {Promise<void>}
+ */
+async function mountArchive(filePath, task, create = false) {
+  if (!archiveFormat(filePath)) return;
+  const stats = await task.fs.stat(filePath).catch(() => null);
+  if (stats ? !stats.isFile() : !create) return;
+  const host = task.fs.adapterFor(filePath);
+  task.fs.mount(filePath, await openArchive(filePath, host));
+  task.archives.set(path.resolve(filePath), host);
+}
+
+/**
+ * Returns the path of a copy root relative to the task destination.
+ * Archive sources are copied to a folder named after the archive without its extension.
+ *
+ * @param {string} source - Path of the copy root.
+ * @param {string} relPath - Path of the root relative to its source pattern.
+ * @param {Object} task - Prepared task, see {@link prepareTask}.
+ * @returns {string}
+ */
+function rootPath(source, relPath, task) {
+  if (!task.archives.has(path.resolve(source))) return relPath;
+  return path.posix.join(path.posix.dirname(relPath), archiveName(source));
+}
+
+/**
+ * Checks whether a task source is a glob pattern, rather than an existing path containing glob characters.
+ *
+ * @param {string} source - Source of the task.
+ * @param {Object} task - Prepared task, whose `literals` lists the sources found as they are by {@link resolveSources}.
+ * @returns {boolean}
+ */
+function isPattern(source, task) {
+  return isGlob(source) && !task.literals.has(source);
+}
+
+/**
+ * Resolves the sources of a task into copy roots, expanding glob patterns and mounting archives with `extract`.
+ * Glob matches keep their path relative to the glob base directory; patterns matching nothing are recorded as
+ * `ENOMATCH` warnings. Folders that cannot be listed and archives that cannot be read are recorded as errors.
+ *
+ * @param {Object} task - Prepared task, see {@link prepareTask}.
+ * @returns {Promise<{source: string, destination: string, relPath: string}[]>}
+ */
+async function resolveSources(task) {
+  const matches = [];
+  for (const source of task.sources) {
+    // Existing paths with glob characters, e.g. `pages/[id].js`, are copied as they are.
+    if (isGlob(source) && await task.fs.stat(source).then(() => true, () => false)) task.literals.add(source);
+    if (isPattern(source, task)) {
+      let found;
+      try {
+        found = await expandGlob(source, task.ignore, task.fs);
       } catch (err) {
-        if (err.code === 'ENOENT') {
-          await fs.mkdir(path.dirname(destPath), { recursive: true });
-          await fs.copyFile(source, destPath);
-          if (logLevel === 'verbose') console.log(`Copied: ${source} -> ${destPath}`);
-          if (logLevel === 'brief') logBrief('copy', source, destPath);
-        } else throw err;
+        await scheduleError(task, err, source, task.dest, 'reading');
+        continue;
       }
+      if (found.length === 0) recordWarning(task, 'ENOMATCH', `'${source}' matched no files`, source, task.dest);
+      for (const match of found) matches.push({ source: match.path, relative: match.relative });
+    } else {
+      matches.push({ source, relative: path.basename(source) });
+    }
+  }
+
+  const roots = [];
+  for (const { source, relative } of matches) {
+    try {
+      if (task.extract) await mountArchive(source, task);
+    } catch (err) {
+      await scheduleError(task, err, source, task.dest);
+      continue;
     }
+    const relPath = rootPath(source, relative, task);
+    const destination = task.flatten ? task.dest : path.join(task.dest, relPath);
+    roots.push({ source, destination, relPath });
+  }
+  return roots;
+}
+
+/**
+ * Returns the destination directories a mirrored task owns: the copies of directory sources,
+ * or the whole destination for glob sources and flattened tasks.
+ *
+ * @param {Object} task - Normalized task options.
+ * @param {{source: string, destination: string}[]} roots - Copy roots of the task.
+ * @returns {Promise<string[]>}
+ */
+async function mirrorRoots(task, roots) {
+  if (task.flatten || task.sources.some(source => isPattern(source, task))) return [task.dest];
+  const dirs = [];
+  for (const { source, destination } of roots) {
+    const stats = await task.fs.stat(source).catch(() => null);
+    if (stats && stats.isDirectory()) dirs.push(destination);
+  }
+  return dirs;
+}
+
+/**
+ * Deletes destination entries that were not produced by the task, rsync `--delete` style.
+ * Protected, filtered-out and depth-limited entries are kept.
+ *
+ * @param {string} dir - Destination directory to prune.
+ * @param {string} base - Directory that relative paths are computed from.
+ * @param {Object} task - Normalized task options with a `retained` set; the `outputs` of the run, including the task's own, are kept.
+ * @returns {Promise<void>}
+ */
+async function pruneItem(dir, base, task) {
+  let items;
+  try {
+    items = await task.fs.readdir(dir);
   } catch (err) {
-    console.error(`Error copying ${source}:`, err.message);
+    if (err.code === 'ENOENT') return;
+    throw err;
+  }
+
+  for (const item of items) {
+    const itemPath = path.resolve(dir, item);
+    const relPath = toPosix(path.relative(base, itemPath));
+    try {
+      const stats = await task.fs.lstat(itemPath);
+      if (task.protect && task.protect(relPath, itemPath, stats)) continue;
+      if (task.retained.has(itemPath) || !task.filter(relPath, itemPath, stats)) continue;
+
+      if (task.run.outputs.has(itemPath)) {
+        if (stats.isDirectory()) await pruneItem(itemPath, base, task);
+        continue;
+      }
+
+      if (!task.dryRun) await task.fs.rm(itemPath, { recursive: true, force: true });
+      recordFile(task, { src: null, dest: itemPath, action: 'deleted' });
+    } catch (err) {
+      recordError(task, err, null, itemPath, 'deleting');
+    }
+  }
+}
+
+/**
+ * Creates the state shared by all tasks of a run.
+ *
+ * @param {Object} [options] - Run options.
+ * @param {number} [options.concurrency=1] - Maximum number of files copied at once.
+ * @param {EventEmitter} [options.emitter] - Emitter receiving the run events.
+ * @param {Function|Object} [options.logger] - Console-like object receiving the output of the built-in reporters.
+ * @param {number} [options.pathLength=30] - Maximum length of paths in brief output, 0 to never shorten.
+ * @param {boolean} [options.color] - Whether to colorize the output; defaults to whether the console writes to a TTY.
+ * @param {Object} [options.fs] - Filesystem adapter of the tasks without their own `fs`.
+ * @param {AbortSignal} [options.signal] - Signal stopping the run.
+ * @returns {Object}
+ */
+function createRun({ concurrency = 1, emitter = new EventEmitter(), logger, pathLength = 30, color, fs: adapter, signal } = {}) {
+  const output = logger && typeof logger === 'object' ? logger : console;
+  return {
+    concurrency,
+    fs: adapter,
+    signal,
+    limit: createLimit(concurrency),
+    writes: new Map(),
+    outputs: new Set(),
+    stopped: false,
+    emitter,
+    started: new Date(),
+    format: { output, pathLength, color: color ?? (output === console && Boolean(process.stdout.isTTY)) },
+    totals: { files: 0, bytes: 0, totalFiles: null, totalBytes: null }
+  };
+}
+
+/**
+ * Normalizes a task and attaches the run state it needs.
+ *
+ * @param {Object} item - Task configuration as passed to {@link copy}.
+ * @param {Object} run - Run state, see {@link createRun}.
+ * @param {Object} report - Report shared by the tasks of the run.
+ * @param {number} [index=0] - Position of the task in the configuration.
+ * @returns {Object} - Task ready for {@link runTask} or {@link copyItem}.
+ */
+function prepareTask(item, run, report, index = 0) {
+  const task = normalizeTask(item);
+  task.index = index;
+  task.name = item.name;
+  task.run = run;
+  task.report = report;
+  task.queue = Promise.resolve();
+  task.errorCount = 0;
+  task.planned = new Set();
+  task.names = new Map();
+  task.destinations = new Map();
+  // Source and destination adapters serve the paths under the sources and the destination.
+  task.fs = createMountFs(createAdapter(item.fs ?? run.fs));
+  if (item.srcFs) {
+    const srcFs = createAdapter(item.srcFs);
+    for (const source of task.sources) task.fs.mount(sourceRoot(source), srcFs);
+  }
+  if (item.destFs) task.fs.mount(task.dest, createAdapter(item.destFs));
+  task.archives = new Map();
+  task.literals = new Set();
+
+  // Destination paths the task writes, which mirroring keeps and later tasks of the run keep too.
+  task.expected = new Set();
+  if (task.mirror) task.retained = new Set();
+
+  if (task.transaction) {
+    task.staged = [];
+    task.created = [];
+    task.deferred = [];
+    task.pending = [];
   }
+  return task;
+}
+
+/**
+ * Moves the staged files of a transaction into place, then records the held back report entries
+ * and applies the deferred directory metadata. Files that could not be moved are left out of the report.
+ * With `failFast`, the first failed move discards the files not yet moved before rejecting.
+ *
+ * @param {Object} task - Prepared task with a `transaction`.
+ * @returns {Promise<void>}
+ */
+async function commitTask(task) {
+  let failure = null;
+  const discarded = new Set();
+  for (const { temp, dest, backup, source, file } of task.staged) {
+    if (failure) {
+      discarded.add(path.resolve(dest));
+      await task.fs.rm(temp, { force: true });
+      continue;
+    }
+    try {
+      if (backup) await backupFile(dest, backup, task);
+      await task.fs.rename(temp, dest);
+      await recordDone(task, source, file, dest);
+    } catch (err) {
+      discarded.add(path.resolve(dest));
+      await task.fs.rm(temp, { force: true });
+      try {
+        recordError(task, err, null, dest, 'committing');
+      } catch (stop) {
+        failure = stop;
+      }
+    }
+  }
+  for (const entry of task.pending) {
+    if (!discarded.has(path.resolve(entry.dest))) recordFile(task, entry);
+  }
+  if (failure) throw failure;
+  for (const { source, destination, stats } of task.deferred) {
+    await preserveMetadata(destination, stats, task).catch(err => recordError(task, err, source, destination));
+  }
+}
+
+/**
+ * Discards the staged files of a failed transaction and the directories it created, along with
+ * the report entries held back for them. Destination files that existed before the task are left untouched.
+ *
+ * @param {Object} task - Prepared task with a `transaction`.
+ * @returns {Promise<void>}
+ */
+async function rollbackTask(task) {
+  // Writes still running in the pool after a failFast error would stage files after the cleanup.
+  await Promise.all(task.run.writes.values());
+  await Promise.all(task.staged.map(({ temp }) => task.fs.rm(temp, { force: true })));
+  for (const dir of task.created.reverse()) await task.fs.rm(dir, { recursive: true, force: true });
+  task.rolledBack = true;
+  recordWarning(task, 'EROLLBACK', `Task rolled back, ${task.staged.length} staged file(s) discarded`, null, task.dest);
+}
+
+/**
+ * Runs a prepared task: copies its sources, then prunes mirrored destinations and saves the manifest.
+ * Transactions commit before pruning, or roll back when any operation failed. Pruning is skipped
+ * after any error, as entries of sources that could not be read would look stale.
+ * Destinations, manifests and journals that cannot be read are recorded as errors and end the task early.
+ * Archive destinations are written once the task completed.
+ * Aborted tasks reject with an `AbortError` without pruning or writing archives, after saving the journal.
+ *
+ * @param {Object} task - Prepared task, see {@link prepareTask}.
+ * @returns {Promise<void>}
+ */
+async function runTask(task) {
+  const { signal } = task.run;
+  if (signal?.aborted) throw new AbortError(signal.reason);
+  const { emitter, totals } = task.run;
+  task.queue = task.queue.then(() => {
+    emitter.emit('task:start', { task: task.index, name: task.name, src: task.sources, dest: task.dest, totals: { ...totals } });
+  });
+
+  // A destination, manifest or journal that cannot be read fails this task only.
+  try {
+    await mountArchive(task.dest, task, true);
+    task.manifest = await loadManifest(task.manifestPath, task.fs);
+    task.journal = await loadJournal(task.journalPath, task.resume, task.fs);
+  } catch (err) {
+    await scheduleError(task, err, null, task.dest, 'reading');
+    await task.queue;
+    emitter.emit('task:end', { task: task.index, name: task.name, errors: task.errorCount, totals: { ...totals } });
+    return;
+  }
+
+  const roots = await resolveSources(task);
+  try {
+    for (const { source, destination, relPath } of roots) {
+      await copyItem(source, destination, task, 0, relPath);
+    }
+    await task.queue;
+    if (signal?.aborted) throw new AbortError(signal.reason);
+  } catch (err) {
+    if (task.transaction) await rollbackTask(task);
+    if (!task.dryRun) await task.journal.save();
+    throw err;
+  }
+
+  if (task.transaction) {
+    if (task.errorCount > 0) await rollbackTask(task);
+    else await commitTask(task);
+  }
+
+  // Mirroring keeps what this task and the earlier tasks of the run wrote, and the folders holding it.
+  const destRoot = path.resolve(task.dest);
+  for (const written of task.expected) {
+    task.run.outputs.add(written);
+    for (let dir = path.dirname(written); dir.startsWith(destRoot + path.sep); dir = path.dirname(dir)) task.run.outputs.add(dir);
+  }
+
+  if (task.mirror && task.errorCount > 0) {
+    recordWarning(task, 'EPRUNE', `Mirror pruning skipped after ${task.errorCount} error(s)`, null, task.dest);
+  } else if (task.mirror) {
+    for (const root of await mirrorRoots(task, roots)) {
+      await pruneItem(root, task.dest, task);
+    }
+  }
+
+  if (!task.dryRun) {
+    try {
+      await task.fs.flush();
+    } catch (err) {
+      recordError(task, err, null, task.dest, 'writing');
+    }
+    await task.manifest.save();
+    await task.journal.save();
+  }
+
+  emitter.emit('task:end', { task: task.index, name: task.name, errors: task.errorCount, totals: { ...totals } });
+}
+
+/**
+ * Plans a whole configuration without logging, to compute the totals reported by progress events.
+ *
+ * @param {Object[]} cfg - Array of copy configurations.
+ * @param {Object} [options] - Run options, see {@link copy}.
+ * @returns {Promise<Object>} - Report of the planned operations.
+ */
+async function scan(cfg, options = {}) {
+  const run = createRun({ fs: options.fs });
+  const report = createReport();
+  run.emitter.on('error', () => {});
+  for (const [index, item] of cfg.entries()) {
+    await runTask(prepareTask({ ...item, dryRun: true, failFast: false, strict: false }, run, report, index));
+  }
+  return report;
+}
+
+/**
+ * Returns the path a source reads from: the source itself, or the base folder of a glob pattern.
+ *
+ * @param {string} source - Source path or glob pattern.
+ * @returns {string}
+ */
+function sourceRoot(source) {
+  return isGlob(source) ? globBase(toPosix(path.resolve(source))) : source;
+}
+
+/**
+ * Checks whether two paths overlap, i.e. one contains the other.
+ *
+ * @param {string} a - First path.
+ * @param {string} b - Second path.
+ * @returns {boolean}
+ */
+function overlaps(a, b) {
+  const first = path.resolve(a) + path.sep;
+  const second = path.resolve(b) + path.sep;
+  return first.startsWith(second) || second.startsWith(first);
 }
 
 /**
  * Copies files and folders based on the provided configuration.
  *
  * @param {Object[]} cfg - Array of copy configurations
- * @param {string|string[]} cfg[].src - Source path(s)
- * @param {string} cfg[].dest - Destination path
+ * @param {string|string[]} cfg[].src - Source path(s) or glob pattern(s); patterns starting with `!` exclude matches
+ * @param {string} cfg[].dest - Destination path, or `.zip`, `.tar`, `.tar.gz` or `.tgz` archive
  * @param {number} [cfg[].depth=0] - Maximum copy depth
  * @param {number} [cfg[].height=0] - Maximum copy height
- * @param {boolean} [cfg[].flatten=false] - Whether to flatten directory structure
- * @param {('overwrite'|'skip'|'rename')} [cfg[].conflictResolution='overwrite'] - Conflict resolution strategy
- * @param {('none'|'verbose'|'brief')} [cfg[].logLevel='none'] - Logging level
- * @param {Function} [done] - Callback function
- */
-export default async function copy(cfg, done) {
-  for (const item of cfg) {
-    const {
-      src,
-      dest,
-      depth = 0,
-      height = 0,
-      flatten = false,
-      conflictResolution = 'overwrite',
-      logLevel = 'none'
-    } = item;
-
-    if (logLevel === 'brief') console.log(`\nStarting copy task...`);
-
-    if (Array.isArray(src)) {
-      for (const source of src) {
-        const destination = flatten ? dest : path.join(dest, path.relative(path.dirname(source), source));
-        await copyItem(source, destination, depth, height, flatten, conflictResolution, logLevel);
+ * @param {boolean|number|'prefix'|Function} [cfg[].flatten=false] - Whether to flatten directory structure: `true` keeps file names only,
+ *   a number drops that many leading folders, `'prefix'` joins folder names into the file name and a function maps relative paths
+ * @param {string} [cfg[].flattenSeparator='-'] - Separator of the `'prefix'` flatten strategy
+ * @param {('overwrite'|'skip'|'rename'|'update'|'backup')} [cfg[].conflictResolution='overwrite'] - Conflict resolution strategy
+ * @param {string|Function} [cfg[].renamePattern='{name}_{n}{ext}'] - Template or function naming `'rename'` copies
+ * @param {string} [cfg[].backupDir] - Directory receiving the files replaced by `'backup'`, instead of a suffixed copy
+ * @param {string} [cfg[].backupSuffix='~'] - Suffix of the files replaced by `'backup'`
+ * @param {('none'|'verbose'|'brief'|'ndjson'|'summary')} [cfg[].logLevel='none'] - Built-in reporter
+ * @param {('mtime'|'size'|'hash')} [cfg[].compare='mtime'] - How `'update'` detects changed files
+ * @param {string} [cfg[].manifest] - Path of a manifest file caching content hashes between runs
+ * @param {string} [cfg[].journal] - Path of a journal file recording the completed files, checkpointed while the task runs
+ * @param {boolean} [cfg[].resume=false] - Whether to skip the files the journal lists as done, while neither they nor their copy changed
+ * @param {boolean} [cfg[].mirror=false] - Whether to delete destination entries missing from the sources
+ * @param {string|Function|Array<string|Function>} [cfg[].protect] - Globs or predicates of destination entries mirroring never deletes
+ * @param {string|Function|Array<string|Function>} [cfg[].include] - Globs or predicates selecting the files to copy
+ * @param {string|Function|Array<string|Function>} [cfg[].exclude] - Globs or predicates selecting files and folders to leave out
+ * @param {boolean} [cfg[].failFast=false] - Whether to stop at the first error and reject
+ * @param {boolean} [cfg[].strict=false] - Whether to reject once all tasks ran if this task had errors
+ * @param {boolean} [cfg[].dryRun=false] - Whether to only report the planned operations without touching the disk
+ * @param {Function|Object<string, string|Function>} [cfg[].rename] - Function `(fileName, file) => fileName`, or map of globs to name templates (`{name}`, `{ext}`, `{base}`) or functions
+ * @param {Function|Object<string, Function>} [cfg[].transform] - Content transform `(contents, file) => contents`, or map of globs to transforms
+ * @param {boolean} [cfg[].transformStreams=false] - Whether transforms receive a readable stream instead of a buffer
+ * @param {('follow'|'preserve'|'skip')} [cfg[].symlinks='follow'] - Whether to copy what symlinks point to, recreate the links or leave them out
+ * @param {Array<'mode'|'timestamps'|'ownership'>} [cfg[].preserve=[]] - Source metadata applied to copied files and folders
+ * @param {boolean} [cfg[].atomic=false] - Whether to write each file to a temporary name and rename it into place
+ * @param {boolean} [cfg[].transaction=false] - Whether to stage all files and move them into place only if the whole task succeeds
+ * @param {boolean} [cfg[].extract=false] - Whether to read `.zip`, `.tar`, `.tar.gz` and `.tgz` sources as folders instead of copying them
+ * @param {Object} [cfg[].fs] - Filesystem adapter of the task, e.g. from `createMemoryFs()`; defaults to `options.fs`, then the local disk
+ * @param {Object} [cfg[].srcFs] - Filesystem adapter of the sources, when it differs from `fs`
+ * @param {Object} [cfg[].destFs] - Filesystem adapter of the destination, when it differs from `fs`
+ * @param {Object} [options] - Run options
+ * @param {number} [options.concurrency=1] - Maximum number of files copied at once; tasks that neither share a destination nor read from each other's also run in parallel above 1
+ * @param {EventEmitter} [options.emitter] - Emitter receiving `task:start`, `file:*`, `error` and `task:end` events
+ * @param {Function} [options.onFile] - Called with the payload of every `file:*` event
+ * @param {Function} [options.onProgress] - Called with the running totals after every file
+ * @param {boolean} [options.scan=false] - Whether to plan the whole run first so progress events carry accurate totals
+ * @param {Function|Object} [options.logger] - Function called with every event `(name, ...args)`, or console-like object receiving the log output
+ * @param {number} [options.pathLength=30] - Maximum length of paths in brief output, 0 to never shorten
+ * @param {boolean} [options.color] - Whether to colorize the output; defaults to whether the console writes to a TTY
+ * @param {Object} [options.fs] - Filesystem adapter of the tasks without their own `fs`
+ * @param {AbortSignal} [options.signal] - Signal stopping the copy between files and interrupting streamed copies
+ * @param {Function} [done] - Node-style callback `(err, report)`; when given, errors are passed to it and the promise still resolves
+ * @returns {Promise<{files: Object[], errors: CopyError[], warnings: Object[], bytes: number, duration: number}>} - Report of all operations
+ * @throws {ValidationError} - When the configuration is invalid, before any file is copied; without `done`
+ * @throws {AbortError} - When `options.signal` aborts, with the report of the files completed until then; without `done`
+ */
+export default async function copy(cfg, options = {}, done) {
+  if (typeof options === 'function') {
+    done = options;
+    options = {};
+  }
+
+  const report = createReport();
+  const start = performance.now();
+  const validation = await validate(cfg, options);
+  if (!validation.valid) {
+    const error = new ValidationError(validation.errors);
+    error.report = report;
+    if (!done) throw error;
+    done(error, report);
+    return report;
+  }
+  for (const { message } of validation.warnings) {
+    report.warnings.push({ code: 'EVALIDATE', message, src: null, dest: null });
+  }
+
+  const run = createRun(options);
+  const runs = [];
+  let previous = Promise.resolve();
+  let error = null;
+
+  if (options.scan) {
+    const scanned = await scan(cfg, options);
+    run.totals.totalFiles = scanned.files.length;
+    run.totals.totalBytes = scanned.bytes;
+  }
+
+  const unsubscribers = [subscribeRun(run, options)];
+  for (const [index, item] of cfg.entries()) {
+    const task = prepareTask(item, run, report, index);
+    unsubscribers.push(subscribeLogger(run, task));
+    // Tasks writing to overlapping destinations, or to the sources of one another, run one after another,
+    // and every task records its results after the previous one so logs keep the configuration order.
+    const depends = (reader, writer) => reader.sources.some(source => overlaps(sourceRoot(source), writer.dest));
+    const blockers = runs
+      .filter(other => run.concurrency <= 1 || overlaps(other.task.dest, task.dest) || depends(task, other.task) || depends(other.task, task))
+      .map(other => other.promise);
+    task.queue = previous;
+    const promise = Promise.all(blockers).then(() => runTask(task));
+    previous = promise.catch(() => {});
+    runs.push({ task, promise });
+  }
+
+  try {
+    await Promise.all(runs.map(({ promise }) => promise));
+  } catch (err) {
+    error = err;
+    await Promise.allSettled(runs.map(({ promise }) => promise));
+  }
+
+  unsubscribers.forEach(unsubscribe => unsubscribe());
+  report.duration = performance.now() - start;
+  const strictErrors = runs.reduce((count, { task }) => count + (task.strict ? task.errorCount : 0), 0);
+  if (!error && strictErrors > 0) {
+    error = new CopyError(`Copy failed with ${strictErrors} error(s)`, { code: 'ECOPY' });
+  }
+
+  // With a callback, errors only go to it, so callers ignoring the promise get no unhandled rejection.
+  if (error) {
+    error.report = report;
+    if (!done) throw error;
+    done(error, report);
+    return report;
+  }
+
+  if (done) done(null, report);
+  return report;
+}
+
+/**
+ * Computes the operations a configuration would perform without touching the disk.
+ * Same as {@link copy} with `dryRun` set on every task.
+ *
+ * @param {Object[]} cfg - Array of copy configurations, see {@link copy}
+ * @param {Object} [options] - Run options, see {@link copy}
+ * @returns {Promise<{files: Object[], errors: CopyError[], warnings: Object[], bytes: number, duration: number}>} - Report of the planned operations
+ */
+export function plan(cfg, options) {
+  return copy(Array.isArray(cfg) ? cfg.map(item => ({ ...item, dryRun: true })) : cfg, options);
+}
+
+/**
+ * Describes the directories to watch for a task and how changed paths map back to copy roots.
+ *
+ * @param {Object} task - Normalized task options.
+ * @returns {{dir: string, recursive: boolean, resolve: Function}[]} - `resolve(filePath)` returns the copy root of a path or `null`.
+ */
+function watchTargets(task) {
+  return task.sources.map(source => {
+    const rootDest = name => task.flatten ? task.dest : path.join(task.dest, name);
+
+    if (isPattern(source, task)) {
+      const absolute = toPosix(path.resolve(source));
+      const re = globToRegExp(absolute);
+      const base = path.resolve(globBase(absolute));
+      return {
+        dir: base,
+        recursive: true,
+        resolve(filePath) {
+          const segments = path.relative(base, filePath).split(path.sep);
+          for (let i = 1; i <= segments.length; i++) {
+            const candidate = path.join(base, ...segments.slice(0, i));
+            const posixPath = toPosix(candidate);
+            if (task.ignore.some(ignored => ignored.test(posixPath))) return null;
+            if (re.test(posixPath)) {
+              const relPath = rootPath(candidate, segments.slice(0, i).join('/'), task);
+              return { source: candidate, destination: rootDest(relPath), relPath };
+            }
+          }
+          return null;
+        }
+      };
+    }
+
+    const absolute = path.resolve(source);
+    const relPath = rootPath(absolute, path.basename(absolute), task);
+    const root = { source: absolute, destination: rootDest(relPath), relPath };
+    return {
+      dir: absolute,
+      recursive: true,
+      resolve: filePath => filePath === absolute || filePath.startsWith(absolute + path.sep) ? root : null
+    };
+  });
+}
+
+/**
+ * Applies a single watched change to the destination: copies the path if it exists, removes its copy otherwise.
+ * Changed archive sources are opened again and copied as a whole.
+ *
+ * @param {string} filePath - Absolute path of the changed entry.
+ * @param {Object} root - Copy root the path belongs to.
+ * @param {Object} task - Normalized task options.
+ * @returns {Promise<boolean>} - Whether a whole directory tree was copied.
+ */
+async function syncPath(filePath, root, task) {
+  const { depth, height, flatten, filter } = task;
+  const rel = path.relative(root.source, filePath);
+  const segments = rel ? rel.split(path.sep) : [];
+  const relPath = [root.relPath, ...segments].join('/');
+  const destination = flatten ? task.dest : path.join(root.destination, rel);
+
+  for (let i = 0; i < segments.length; i++) {
+    if (depth > 0 && i >= depth) return false;
+    if (height > 0 && i >= height) return false;
+    const ancestor = [root.relPath, ...segments.slice(0, i)].join('/');
+    if (i > 0 && !filter(ancestor, path.join(root.source, ...segments.slice(0, i)), { isDirectory: () => true })) return false;
+  }
+
+  const archive = task.archives.has(filePath);
+  if (archive) task.fs.mount(filePath, await openArchive(filePath, task.archives.get(filePath)));
+  try {
+    const stats = await task.fs.stat(filePath);
+    if (stats.isDirectory() && !archive) {
+      const exists = await task.fs.access(destination).then(() => true, () => false);
+      if (exists) return false;
+    }
+    await copyItem(filePath, destination, task, segments.length, relPath);
+    await task.queue;
+    return stats.isDirectory();
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+
+    let destPath = flatten ? path.join(task.dest, task.flattenPath(relPath, filePath, null)) : destination;
+    let destStats = await task.fs.stat(destPath).catch(() => null);
+    // Removed files map to their renamed copy; directories are never renamed.
+    if (task.rename && !(destStats && destStats.isDirectory())) {
+      destPath = path.join(path.dirname(destPath), task.rename(path.basename(destPath), { src: filePath, relative: relPath, stats: null }));
+      destStats = await task.fs.stat(destPath).catch(() => null);
+    }
+    if (!destStats) return false;
+    if (flatten && destStats.isDirectory()) return false;
+    if (!filter(relPath, filePath, destStats)) return false;
+
+    await task.fs.rm(destPath, { recursive: true, force: true });
+    recordFile(task, { src: null, dest: destPath, action: 'removed' });
+    return false;
+  }
+}
+
+/**
+ * Copies files and folders once, then keeps the destinations in sync with their sources.
+ * Added, changed and removed entries are applied individually after a debounce delay.
+ *
+ * @param {Object[]} cfg - Array of copy configurations, see {@link copy}
+ * @param {Object} [options] - Watch options, plus the run options of {@link copy}
+ * @param {number} [options.debounce=100] - Delay in milliseconds used to group bursts of events
+ * @returns {Promise<{close: Function}>} - Handle whose `close()` stops watching and waits for pending changes
+ */
+export async function watch(cfg, options = {}) {
+  const { debounce = 100 } = options;
+  await copy(cfg, options);
+
+  const watchers = [];
+  const pending = new Map();
+  let timer = null;
+  let queue = Promise.resolve();
+
+  const flush = async () => {
+    const changes = [...pending.entries()].sort(([a], [b]) => a.localeCompare(b));
+    pending.clear();
+    // Every sync starts afresh, so a failFast error only stops the sync it happened in.
+    run.stopped = false;
+    tasks.forEach(task => {
+      task.planned.clear();
+      task.names.clear();
+      task.queue = Promise.resolve();
+    });
+    const copiedTrees = [];
+    for (const [filePath, { root, task }] of changes) {
+      if (copiedTrees.some(dir => filePath.startsWith(dir + path.sep))) continue;
+      try {
+        if (await syncPath(filePath, root, task)) copiedTrees.push(filePath);
+      } catch (err) {
+        // Recorded errors, rethrown by failFast tasks, were already logged.
+        if (!task.report.errors.includes(err)) run.format.output.error(`Error syncing ${filePath}:`, err.message);
       }
-    } else {
-      const destination = flatten ? dest : path.join(dest, path.basename(src));
-      await copyItem(src, destination, depth, height, flatten, conflictResolution, logLevel);
     }
+    for (const task of tasks) {
+      await task.fs.flush().catch(err => run.format.output.error(`Error writing ${task.dest}:`, err.message));
+    }
+  };
 
-    if (logLevel === 'brief') console.log('Copy task completed\n');
+  const tasks = [];
+  const run = createRun(options);
+  const unsubscribers = [subscribeRun(run, options)];
+  for (const [index, item] of cfg.entries()) {
+    const task = prepareTask(item, run, createReport(), index);
+    unsubscribers.push(subscribeLogger(run, task));
+    await mountArchive(task.dest, task, true);
+    // Mounts the archive sources, whose copies are named after them.
+    await resolveSources(task);
+    task.manifest = await loadManifest(task.manifestPath, task.fs);
+    task.journal = await loadJournal(task.journalPath, true, task.fs);
+    tasks.push(task);
+    for (const target of watchTargets(task)) {
+      if ((task.archives.get(target.dir) ?? task.fs.adapterFor(target.dir)) !== localFs) {
+        run.format.output.error(`Error watching ${target.dir}:`, 'only sources on the local disk can be watched');
+        continue;
+      }
+      let stats;
+      try {
+        stats = await fs.stat(target.dir);
+      } catch (err) {
+        run.format.output.error(`Error watching ${target.dir}:`, err.message);
+        continue;
+      }
+      const dir = stats.isDirectory() ? target.dir : path.dirname(target.dir);
+      const watcher = fsWatch(dir, { recursive: stats.isDirectory() }, (eventType, filename) => {
+        if (!filename) return;
+        const filePath = path.join(dir, filename.toString());
+        const root = target.resolve(filePath);
+        if (!root) return;
+        pending.set(filePath, { root, task });
+        clearTimeout(timer);
+        timer = setTimeout(() => {
+          queue = queue.then(flush);
+        }, debounce);
+      });
+      watcher.on('error', err => run.format.output.error(`Error watching ${dir}:`, err.message));
+      watchers.push(watcher);
+    }
   }
 
-  if (done) done();
-}
\ No newline at end of file
+  return {
+    async close() {
+      clearTimeout(timer);
+      watchers.forEach(watcher => watcher.close());
+      if (pending.size > 0) queue = queue.then(flush);
+      await queue;
+      for (const task of tasks) {
+        await task.manifest.save();
+        await task.journal.save();
+      }
+      unsubscribers.forEach(unsubscribe => unsubscribe());
+    }
+  };
+}
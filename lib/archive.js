@@ -0,0 +1,647 @@
+import path from 'path';
+import { promisify } from 'util';
+import zlib from 'zlib';
+import { localFs } from './fs.js';
+import { createMemoryFs } from './memfs.js';
+
+const deflateRaw = promisify(zlib.deflateRaw);
+const inflateRaw = promisify(zlib.inflateRaw);
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+/**
+ * Archive extensions and their formats, longest extensions first.
+ */
+const EXTENSIONS = [['.tar.gz', 'tar.gz'], ['.tgz', 'tar.gz'], ['.tar', 'tar'], ['.zip', 'zip']];
+
+/**
+ * File type bits of Unix modes, as stored by both formats.
+ */
+const TYPE_BITS = { file: 0o100000, directory: 0o040000, symlink: 0o120000 };
+
+const ZIP_LOCAL_HEADER = 0x04034b50;
+const ZIP_CENTRAL_HEADER = 0x02014b50;
+const ZIP_END = 0x06054b50;
+const ZIP_UTF8 = 0x0800;
+const ZIP_MAX = 0xffffffff;
+const ZIP_NTFS = 0x000a;
+
+/**
+ * Offset between the Windows FILETIME epoch (1601) and the Unix epoch, in 100 ns intervals.
+ */
+const FILETIME_EPOCH = 116444736000000000n;
+
+const TAR_BLOCK = 512;
+const TAR_TYPES = { file: '0', directory: '5', symlink: '2' };
+
+const CRC_TABLE = new Uint32Array(256).map((_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c;
+});
+
+/**
+ * Computes the CRC-32 checksum zip entries carry.
+ *
+ * @param {Buffer} data - Entry contents.
+ * @returns {number}
+ */
+function crc32(data) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < data.length; i++) crc = CRC_TABLE[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Creates the error raised for archives that cannot be read or written.
+ *
+ * @param {string} filePath - Path of the archive.
+ * @param {string} reason - What is wrong with it.
+ * @returns {Error}
+ */
+function archiveError(filePath, reason) {
+  const err = new Error(`Invalid archive '${filePath}': ${reason}`);
+  err.code = 'EARCHIVE';
+  return err;
+}
+
+/**
+ * Returns the extension and format of an archive path.
+ *
+ * @param {string} filePath - Path to check.
+ * @returns {string[]|undefined} - `[extension, format]`, or `undefined` for other paths.
+ */
+function matchExtension(filePath) {
+  const lower = path.basename(String(filePath)).toLowerCase();
+  return EXTENSIONS.find(([extension]) => lower.endsWith(extension) && lower.length > extension.length);
+}
+
+/**
+ * Returns the archive format of a path from its extension.
+ *
+ * @param {string} filePath - Path to check.
+ * @returns {('zip'|'tar'|'tar.gz'|null)}
+ */
+export function archiveFormat(filePath) {
+  const match = matchExtension(filePath);
+  return match ? match[1] : null;
+}
+
+/**
+ * Returns the name of the folder an archive source is copied to: its file name without the archive extension.
+ *
+ * @param {string} filePath - Path of the archive.
+ * @returns {string}
+ */
+export function archiveName(filePath) {
+  const base = path.basename(filePath);
+  const match = matchExtension(filePath);
+  return match ? base.slice(0, -match[0].length) : base;
+}
+
+/**
+ * Converts a date to the MS-DOS time and date of zip headers, in local time with 2 second precision.
+ *
+ * @param {Date} date - Date to convert.
+ * @returns {number[]} - `[time, date]`
+ */
+function toDosTime(date) {
+  const year = Math.min(Math.max(date.getFullYear(), 1980), 2107);
+  return [
+    (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+    ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  ];
+}
+
+/**
+ * Converts the MS-DOS time and date of zip headers to a date.
+ *
+ * @param {number} time - DOS time.
+ * @param {number} date - DOS date.
+ * @returns {Date}
+ */
+function fromDosTime(time, date) {
+  return new Date(((date >> 9) & 0x7f) + 1980, ((date >> 5) & 0xf) - 1, date & 0x1f, (time >> 11) & 0x1f, (time >> 5) & 0x3f, (time & 0x1f) * 2);
+}
+
+/**
+ * Builds the NTFS extra field of a zip entry, which keeps timestamps to the millisecond.
+ *
+ * @param {Date} mtime - Modification time.
+ * @returns {Buffer}
+ */
+function ntfsExtra(mtime) {
+  const extra = Buffer.alloc(36);
+  const time = BigInt(mtime.getTime()) * 10000n + FILETIME_EPOCH;
+  extra.writeUInt16LE(ZIP_NTFS, 0);
+  extra.writeUInt16LE(32, 2);
+  extra.writeUInt16LE(1, 8);
+  extra.writeUInt16LE(24, 10);
+  extra.writeBigUInt64LE(time, 12);
+  extra.writeBigUInt64LE(time, 20);
+  extra.writeBigUInt64LE(time, 28);
+  return extra;
+}
+
+/**
+ * Reads the modification time of the NTFS extra field of a zip entry.
+ *
+ * @param {Buffer} extra - Extra fields of the entry.
+ * @returns {Date|null} - Modification time, or `null` without an NTFS field.
+ */
+function readNtfsTime(extra) {
+  for (let offset = 0; offset + 4 <= extra.length; offset += 4 + extra.readUInt16LE(offset + 2)) {
+    if (extra.readUInt16LE(offset) === ZIP_NTFS && extra.readUInt16LE(offset + 2) >= 32) {
+      return new Date(Number((extra.readBigUInt64LE(offset + 12) - FILETIME_EPOCH) / 10000n));
+    }
+  }
+  return null;
+}
+
+/**
+ * Encodes entries as a zip archive. Files are deflated unless that does not make them smaller;
+ * Unix modes, including the symlink type, are stored in the external attributes.
+ *
+ * @param {Object[]} entries - Entries with `name`, `type`, `data`, `target`, `mode` and `mtime`.
+ * @param {string} filePath - Path of the archive, used in error messages.
+ * @returns {Promise<Buffer>}
+ */
+async function encodeZip(entries, filePath) {
+  if (entries.length > 0xffff) throw archiveError(filePath, 'zip archives hold at most 65535 entries');
+  const chunks = [];
+  const central = [];
+  let offset = 0;
+  for (const entry of entries) {
+    const name = Buffer.from(entry.type === 'directory' ? `${entry.name}/` : entry.name);
+    const raw = entry.type === 'file' ? entry.data : Buffer.from(entry.type === 'symlink' ? entry.target : '');
+    const deflated = raw.length > 0 ? await deflateRaw(raw) : raw;
+    const method = deflated.length < raw.length ? 8 : 0;
+    const data = method === 8 ? deflated : raw;
+    if (raw.length > ZIP_MAX || offset > ZIP_MAX) throw archiveError(filePath, 'zip archives hold at most 4 GB');
+    const crc = crc32(raw);
+    const [time, date] = toDosTime(entry.mtime);
+    const extra = ntfsExtra(entry.mtime);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(ZIP_LOCAL_HEADER, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(ZIP_UTF8, 6);
+    local.writeUInt16LE(method, 8);
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(date, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(raw.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    local.writeUInt16LE(extra.length, 28);
+    chunks.push(local, name, extra, data);
+
+    const header = Buffer.alloc(46);
+    header.writeUInt32LE(ZIP_CENTRAL_HEADER, 0);
+    header.writeUInt16LE((3 << 8) | 20, 4);
+    header.writeUInt16LE(20, 6);
+    header.writeUInt16LE(ZIP_UTF8, 8);
+    header.writeUInt16LE(method, 10);
+    header.writeUInt16LE(time, 12);
+    header.writeUInt16LE(date, 14);
+    header.writeUInt32LE(crc, 16);
+    header.writeUInt32LE(data.length, 20);
+    header.writeUInt32LE(raw.length, 24);
+    header.writeUInt16LE(name.length, 28);
+    header.writeUInt16LE(extra.length, 30);
+    header.writeUInt32LE((((TYPE_BITS[entry.type] | entry.mode) << 16) | (entry.type === 'directory' ? 0x10 : 0)) >>> 0, 38);
+    header.writeUInt32LE(offset, 42);
+    central.push(header, name, extra);
+    offset += local.length + name.length + extra.length + data.length;
+  }
+
+  const directory = Buffer.concat(central);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(ZIP_END, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...chunks, directory, end]);
+}
+
+/**
+ * Decodes a zip archive from its central directory, checking the CRC-32 of every entry.
+ *
+ * @param {Buffer} buffer - Archive contents.
+ * @param {string} filePath - Path of the archive, used in error messages.
+ * @returns {Promise<Object[]>} - Entries, see {@link encodeZip}.
+ */
+async function decodeZip(buffer, filePath) {
+  let end = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xffff); i--) {
+    if (buffer.readUInt32LE(i) === ZIP_END) {
+      end = i;
+      break;
+    }
+  }
+  if (end < 0) throw archiveError(filePath, 'end of central directory not found');
+
+  const entries = [];
+  let offset = buffer.readUInt32LE(end + 16);
+  for (let count = buffer.readUInt16LE(end + 10); count > 0; count--) {
+    if (buffer.readUInt32LE(offset) !== ZIP_CENTRAL_HEADER) throw archiveError(filePath, 'corrupt central directory');
+    const madeBy = buffer.readUInt16LE(offset + 4) >> 8;
+    const flags = buffer.readUInt16LE(offset + 8);
+    const method = buffer.readUInt16LE(offset + 10);
+    const dosTime = fromDosTime(buffer.readUInt16LE(offset + 12), buffer.readUInt16LE(offset + 14));
+    const crc = buffer.readUInt32LE(offset + 16);
+    const size = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const external = buffer.readUInt32LE(offset + 38);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+    const mtime = readNtfsTime(buffer.subarray(offset + 46 + nameLength, offset + 46 + nameLength + extraLength)) || dosTime;
+    offset += 46 + nameLength + extraLength + buffer.readUInt16LE(offset + 32);
+
+    if (flags & 1) throw archiveError(filePath, `'${name}' is encrypted`);
+    if (buffer.readUInt32LE(localOffset) !== ZIP_LOCAL_HEADER) throw archiveError(filePath, `corrupt header of '${name}'`);
+    const start = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const compressed = buffer.subarray(start, start + size);
+    let data;
+    if (method === 0) data = compressed;
+    else if (method === 8) data = await inflateRaw(compressed);
+    else throw archiveError(filePath, `'${name}' uses unsupported compression method ${method}`);
+    if (crc32(data) !== crc) throw archiveError(filePath, `checksum mismatch for '${name}'`);
+
+    const mode = madeBy === 3 ? external >>> 16 : 0;
+    const kind = mode & 0o170000;
+    const type = name.endsWith('/') || kind === TYPE_BITS.directory ? 'directory' : kind === TYPE_BITS.symlink ? 'symlink' : 'file';
+    entries.push({
+      name: name.replace(/\/+$/, ''),
+      type,
+      data: type === 'file' ? Buffer.from(data) : undefined,
+      target: type === 'symlink' ? data.toString() : undefined,
+      mode: mode & 0o7777 || undefined,
+      mtime
+    });
+  }
+  return entries;
+}
+
+/**
+ * Reads a NUL-terminated string field of a tar header.
+ *
+ * @param {Buffer} header - Header block.
+ * @param {number} offset - Field offset.
+ * @param {number} length - Field length.
+ * @returns {string}
+ */
+function readString(header, offset, length) {
+  const field = header.subarray(offset, offset + length);
+  const nul = field.indexOf(0);
+  return field.toString('utf8', 0, nul < 0 ? field.length : nul);
+}
+
+/**
+ * Reads a numeric field of a tar header, in octal or in the base-256 encoding of large values.
+ *
+ * @param {Buffer} header - Header block.
+ * @param {number} offset - Field offset.
+ * @param {number} length - Field length.
+ * @returns {number}
+ */
+function readNumber(header, offset, length) {
+  if (header[offset] & 0x80) {
+    let value = header[offset] & 0x7f;
+    for (let i = 1; i < length; i++) value = value * 256 + header[offset + i];
+    return value;
+  }
+  return parseInt(readString(header, offset, length).trim(), 8) || 0;
+}
+
+/**
+ * Writes a numeric field of a tar header in octal, or in base-256 when the value does not fit.
+ *
+ * @param {Buffer} header - Header block.
+ * @param {number} value - Value to write.
+ * @param {number} offset - Field offset.
+ * @param {number} length - Field length.
+ */
+function writeNumber(header, value, offset, length) {
+  const octal = Math.floor(value).toString(8);
+  if (octal.length < length) {
+    header.write(`${octal.padStart(length - 1, '0')}\0`, offset, length, 'ascii');
+    return;
+  }
+  let rest = Math.floor(value);
+  for (let i = length - 1; i > 0; i--) {
+    header[offset + i] = rest % 256;
+    rest = Math.floor(rest / 256);
+  }
+  header[offset] = 0x80;
+}
+
+/**
+ * Computes the checksum of a tar header: the sum of its bytes, counting the checksum field as spaces.
+ *
+ * @param {Buffer} header - Header block.
+ * @returns {number}
+ */
+function tarChecksum(header) {
+  let sum = 8 * 0x20;
+  for (let i = 0; i < TAR_BLOCK; i++) if (i < 148 || i >= 156) sum += header[i];
+  return sum;
+}
+
+/**
+ * Builds a ustar header block.
+ *
+ * @param {Object} fields - Header fields: `name`, `prefix`, `mode`, `uid`, `gid`, `size`, `mtime`, `type` and `linkname`.
+ * @returns {Buffer}
+ */
+function tarHeader({ name, prefix = '', mode, uid = 0, gid = 0, size = 0, mtime, type, linkname = '' }) {
+  const header = Buffer.alloc(TAR_BLOCK);
+  header.write(name, 0, 100);
+  writeNumber(header, mode, 100, 8);
+  writeNumber(header, uid, 108, 8);
+  writeNumber(header, gid, 116, 8);
+  writeNumber(header, size, 124, 12);
+  writeNumber(header, mtime.getTime() / 1000, 136, 12);
+  header.write(type, 156, 1, 'ascii');
+  header.write(linkname, 157, 100);
+  header.write('ustar\u000000', 257, 8, 'ascii');
+  header.write(prefix, 345, 155);
+  header.write(`${tarChecksum(header).toString(8).padStart(6, '0')}\0 `, 148, 8, 'ascii');
+  return header;
+}
+
+/**
+ * Formats a record of a PAX extended header, whose leading length counts itself.
+ *
+ * @param {string} key - Record key such as `path`.
+ * @param {string} value - Record value.
+ * @returns {string}
+ */
+function paxRecord(key, value) {
+  const length = Buffer.byteLength(` ${key}=${value}\n`);
+  let total = length + 1;
+  while (total !== length + String(total).length) total = length + String(total).length;
+  return `${total} ${key}=${value}\n`;
+}
+
+/**
+ * Pads data to a whole number of tar blocks.
+ *
+ * @param {Buffer} data - Entry contents.
+ * @returns {Buffer[]}
+ */
+function tarBlocks(data) {
+  return [data, Buffer.alloc((TAR_BLOCK - (data.length % TAR_BLOCK)) % TAR_BLOCK)];
+}
+
+/**
+ * Encodes entries as a ustar archive. Names and link targets that do not fit the header,
+ * and modification times with milliseconds, are stored in PAX extended headers.
+ *
+ * @param {Object[]} entries - Entries, see {@link encodeZip}.
+ * @returns {Buffer}
+ */
+function encodeTar(entries) {
+  const chunks = [];
+  for (const entry of entries) {
+    const name = entry.type === 'directory' ? `${entry.name}/` : entry.name;
+    const data = entry.type === 'file' ? entry.data : Buffer.alloc(0);
+    const linkname = entry.type === 'symlink' ? entry.target : '';
+    const fields = { name, mode: entry.mode, uid: entry.uid, gid: entry.gid, size: data.length, mtime: entry.mtime, type: TAR_TYPES[entry.type], linkname };
+
+    let pax = '';
+    if (Buffer.byteLength(name) > 100) {
+      const split = name.lastIndexOf('/', name.length - 2);
+      const prefix = name.slice(0, split);
+      if (split > 0 && Buffer.byteLength(prefix) <= 155 && Buffer.byteLength(name.slice(split + 1)) <= 100) {
+        Object.assign(fields, { prefix, name: name.slice(split + 1) });
+      } else {
+        pax += paxRecord('path', name);
+        fields.name = name.slice(0, 100);
+      }
+    }
+    if (Buffer.byteLength(linkname) > 100) {
+      pax += paxRecord('linkpath', linkname);
+      fields.linkname = linkname.slice(0, 100);
+    }
+    if (entry.mtime.getTime() % 1000 !== 0) pax += paxRecord('mtime', (entry.mtime.getTime() / 1000).toFixed(3));
+    if (pax) {
+      const records = Buffer.from(pax);
+      chunks.push(tarHeader({ name: `PaxHeader/${path.posix.basename(entry.name)}`.slice(0, 100), mode: 0o644, size: records.length, mtime: entry.mtime, type: 'x' }), ...tarBlocks(records));
+    }
+    chunks.push(tarHeader(fields), ...tarBlocks(data));
+  }
+  chunks.push(Buffer.alloc(TAR_BLOCK * 2));
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Parses the records of a PAX extended header.
+ *
+ * @param {Buffer} data - Header contents.
+ * @returns {Object<string, string>}
+ */
+function parsePax(data) {
+  const records = {};
+  let offset = 0;
+  while (offset < data.length) {
+    const space = data.indexOf(0x20, offset);
+    const length = parseInt(data.toString('ascii', offset, space), 10);
+    if (space < 0 || !length) break;
+    const record = data.toString('utf8', space + 1, offset + length - 1);
+    const equals = record.indexOf('=');
+    records[record.slice(0, equals)] = record.slice(equals + 1);
+    offset += length;
+  }
+  return records;
+}
+
+/**
+ * Decodes a tar archive: ustar, PAX and GNU long names. Hard links become copies of their target;
+ * devices and other special entries are left out.
+ *
+ * @param {Buffer} buffer - Archive contents.
+ * @param {string} filePath - Path of the archive, used in error messages.
+ * @returns {Object[]} - Entries, see {@link encodeZip}.
+ */
+function decodeTar(buffer, filePath) {
+  const entries = [];
+  let extended = {};
+  let offset = 0;
+  while (offset + TAR_BLOCK <= buffer.length) {
+    const header = buffer.subarray(offset, offset + TAR_BLOCK);
+    if (header.every(byte => byte === 0)) break;
+    if (readNumber(header, 148, 8) !== tarChecksum(header)) throw archiveError(filePath, `corrupt header at offset ${offset}`);
+    const size = readNumber(header, 124, 12);
+    const type = header[156] === 0 ? '0' : String.fromCharCode(header[156]);
+    const data = buffer.subarray(offset + TAR_BLOCK, offset + TAR_BLOCK + size);
+    offset += TAR_BLOCK + Math.ceil(size / TAR_BLOCK) * TAR_BLOCK;
+
+    if (type === 'x') {
+      extended = { ...extended, ...parsePax(data) };
+      continue;
+    }
+    if (type === 'L' || type === 'K') {
+      extended[type === 'L' ? 'path' : 'linkpath'] = readString(data, 0, data.length);
+      continue;
+    }
+    if (type === 'g') continue;
+
+    const prefix = header.toString('ascii', 257, 262) === 'ustar' ? readString(header, 345, 155) : '';
+    const name = (extended.path ?? (prefix ? `${prefix}/` : '') + readString(header, 0, 100)).replace(/\/+$/, '');
+    const linkname = extended.linkpath ?? readString(header, 157, 100);
+    const entry = {
+      name,
+      mode: readNumber(header, 100, 8) & 0o7777,
+      uid: readNumber(header, 108, 8),
+      gid: readNumber(header, 116, 8),
+      mtime: new Date((extended.mtime ? parseFloat(extended.mtime) : readNumber(header, 136, 12)) * 1000)
+    };
+    extended = {};
+
+    if (type === '0' || type === '7') {
+      entries.push({ ...entry, type: 'file', data: Buffer.from(data) });
+    } else if (type === '5') {
+      entries.push({ ...entry, type: 'directory' });
+    } else if (type === '2') {
+      entries.push({ ...entry, type: 'symlink', target: linkname });
+    } else if (type === '1') {
+      const original = entries.findLast(item => item.type === 'file' && item.name === linkname.replace(/\/+$/, ''));
+      if (original) entries.push({ ...entry, type: 'file', data: original.data });
+    }
+  }
+  return entries;
+}
+
+/**
+ * Encodes entries in an archive format.
+ *
+ * @param {Object[]} entries - Entries, see {@link encodeZip}.
+ * @param {string} format - `zip`, `tar` or `tar.gz`.
+ * @param {string} filePath - Path of the archive, used in error messages.
+ * @returns {Promise<Buffer>}
+ */
+async function encodeArchive(entries, format, filePath) {
+  if (format === 'zip') return encodeZip(entries, filePath);
+  const tar = encodeTar(entries);
+  return format === 'tar.gz' ? gzip(tar) : tar;
+}
+
+/**
+ * Decodes the entries of an archive.
+ *
+ * @param {Buffer} buffer - Archive contents.
+ * @param {string} format - `zip`, `tar` or `tar.gz`.
+ * @param {string} filePath - Path of the archive, used in error messages.
+ * @returns {Promise<Object[]>}
+ */
+async function decodeArchive(buffer, format, filePath) {
+  try {
+    if (format === 'zip') return await decodeZip(buffer, filePath);
+    return decodeTar(format === 'tar.gz' ? await gunzip(buffer) : buffer, filePath);
+  } catch (err) {
+    if (err.code === 'EARCHIVE') throw err;
+    throw archiveError(filePath, err.message);
+  }
+}
+
+/**
+ * Lists the entries of a filesystem tree, parents before their children.
+ *
+ * @param {Object} tree - Filesystem holding the archive contents.
+ * @param {string} root - Directory the entry names are relative to.
+ * @returns {Promise<Object[]>} - Entries, see {@link encodeZip}.
+ */
+async function collectEntries(tree, root) {
+  const entries = [];
+  const walk = async (dir, prefix) => {
+    for (const item of await tree.readdir(dir)) {
+      const itemPath = path.join(dir, item);
+      const name = prefix ? `${prefix}/${item}` : item;
+      const stats = await tree.lstat(itemPath);
+      const entry = { name, mode: stats.mode & 0o7777, uid: stats.uid, gid: stats.gid, mtime: stats.mtime };
+      if (stats.isDirectory()) {
+        entries.push({ ...entry, type: 'directory' });
+        await walk(itemPath, name);
+      } else if (stats.isSymbolicLink()) {
+        entries.push({ ...entry, type: 'symlink', target: await tree.readlink(itemPath) });
+      } else {
+        entries.push({ ...entry, type: 'file', data: await tree.readFile(itemPath) });
+      }
+    }
+  };
+  await walk(root, '');
+  return entries;
+}
+
+/**
+ * Methods changing the contents of a filesystem, which mark an archive as modified.
+ */
+const WRITE_METHODS = [
+  'mkdir', 'writeFile', 'copyFile', 'rename', 'rm', 'symlink', 'chmod', 'chown', 'lchown', 'utimes', 'lutimes', 'createWriteStream'
+];
+
+/**
+ * Opens an archive as an in-memory filesystem rooted at the archive path, so its entries can be walked
+ * and written like a directory. Missing archives open empty. Entries escaping the archive root are left out.
+ * `flush()` writes the archive back, through a temporary file, if its contents changed.
+ *
+ * @param {string} archivePath - Path of the `.zip`, `.tar`, `.tar.gz` or `.tgz` file.
+ * @param {Object} [host=localFs] - Filesystem holding the archive file.
+ * @returns {Promise<Object>} - Filesystem with the methods of {@link localFs} and `flush()`.
+ */
+export async function openArchive(archivePath, host = localFs) {
+  const root = path.resolve(archivePath);
+  const format = archiveFormat(root);
+  if (!format) throw archiveError(archivePath, 'unknown archive extension');
+  const tree = createMemoryFs({ root });
+
+  const buffer = await host.readFile(root).catch(err => {
+    if (err.code !== 'ENOENT') throw err;
+    return null;
+  });
+  for (const entry of buffer ? await decodeArchive(buffer, format, archivePath) : []) {
+    const entryPath = path.resolve(root, ...entry.name.split('/'));
+    if (!entryPath.startsWith(root + path.sep)) continue;
+    await tree.mkdir(path.dirname(entryPath), { recursive: true });
+    if (entry.type === 'directory') {
+      await tree.mkdir(entryPath, { recursive: true });
+    } else {
+      await tree.rm(entryPath, { recursive: true, force: true });
+      if (entry.type === 'symlink') await tree.symlink(entry.target, entryPath);
+      else await tree.writeFile(entryPath, entry.data);
+    }
+    if (entry.type !== 'symlink' && entry.mode) await tree.chmod(entryPath, entry.mode);
+    if (entry.uid !== undefined) await tree.lchown(entryPath, entry.uid, entry.gid);
+    await tree.lutimes(entryPath, entry.mtime, entry.mtime);
+  }
+
+  let modified = false;
+  const archive = {
+    ...tree,
+
+    /**
+     * Writes the archive to disk if its contents changed since it was opened or last flushed.
+     *
+     * @returns {Promise<void>}
+     */
+    async flush() {
+      if (!modified) return;
+      const data = await encodeArchive(await collectEntries(tree, root), format, archivePath);
+      const temp = path.join(path.dirname(root), `.${path.basename(root)}.${process.pid}.tmp`);
+      await host.mkdir(path.dirname(root), { recursive: true });
+      await host.writeFile(temp, data);
+      await host.rename(temp, root);
+      modified = false;
+    }
+  };
+  for (const method of WRITE_METHODS) {
+    archive[method] = (...args) => {
+      modified = true;
+      return tree[method](...args);
+    };
+  }
+  return archive;
+}
@@ -0,0 +1,291 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { parseArgs } from 'util';
+import copy, { AbortError, validate, ValidationError } from '../index.js';
+
+const CONFIG_FILES = ['copy.config.js', 'copy.config.mjs', 'copy.config.json'];
+const PACKAGE_KEY = 'copyRecursive';
+
+const USAGE = `Usage:
+  copy-recursive [options] <src...> <dest>
+  copy-recursive [options] [--config <file>] [--task <name>...]
+
+Without sources, tasks are loaded from --config, ${CONFIG_FILES.join(', ')}
+or the "${PACKAGE_KEY}" key of package.json. Task options given on the
+command line override the ones of the loaded tasks.
+
+Options:
+  -d, --depth <n>         Maximum copy depth (0 for unlimited)
+      --height <n>        Maximum copy height (0 for unlimited)
+  -f, --flatten[=n|prefix]
+                          Flatten directory structure: keep file names only, drop
+                          n leading folders, or join folder names into the file name
+      --flatten-separator <sep>
+                          Separator of --flatten prefix (default -)
+  -c, --conflict <mode>   overwrite, skip, rename, update or backup
+      --rename-pattern <template>
+                          Names of renamed copies, e.g. {name}-{n}{ext}
+      --backup-dir <dir>  Directory receiving files replaced by --conflict backup
+      --compare <mode>    mtime, size or hash (with --conflict update)
+      --manifest <file>   Hash manifest file (with --compare hash)
+      --journal <file>    Record completed files, to resume an interrupted copy
+      --resume            Skip the files the journal lists as done
+  -i, --include <glob>    Only copy matching files (repeatable)
+  -x, --exclude <glob>    Leave out matching files and folders (repeatable)
+  -m, --mirror            Delete destination entries missing from the sources
+      --symlinks <mode>   follow, preserve or skip symbolic links
+  -p, --preserve <list>   Comma-separated metadata to keep: mode,timestamps,ownership
+      --atomic            Write files to a temporary name and rename them into place
+      --transaction       Only move files into place if the whole task succeeds
+      --extract           Copy the contents of zip and tar sources instead of the files
+  -n, --dry-run           Only print the planned operations
+  -l, --log <level>       none, verbose, brief, ndjson or summary
+      --fail-fast         Stop at the first error
+  -j, --concurrency <n>   Number of files copied at once (default 1)
+      --config <file>     Load tasks from a config file
+  -t, --task <name>       Only run the named task (repeatable)
+      --validate          Only check the configuration
+  -h, --help              Show this help
+  -v, --version           Show the version`;
+
+const OPTIONS = {
+  depth: { type: 'string', short: 'd' },
+  height: { type: 'string' },
+  flatten: { type: 'string', short: 'f' },
+  'flatten-separator': { type: 'string' },
+  conflict: { type: 'string', short: 'c' },
+  'rename-pattern': { type: 'string' },
+  'backup-dir': { type: 'string' },
+  compare: { type: 'string' },
+  manifest: { type: 'string' },
+  journal: { type: 'string' },
+  resume: { type: 'boolean' },
+  include: { type: 'string', short: 'i', multiple: true },
+  exclude: { type: 'string', short: 'x', multiple: true },
+  mirror: { type: 'boolean', short: 'm' },
+  symlinks: { type: 'string' },
+  preserve: { type: 'string', short: 'p' },
+  atomic: { type: 'boolean' },
+  transaction: { type: 'boolean' },
+  extract: { type: 'boolean' },
+  'dry-run': { type: 'boolean', short: 'n' },
+  log: { type: 'string', short: 'l' },
+  'fail-fast': { type: 'boolean' },
+  concurrency: { type: 'string', short: 'j' },
+  config: { type: 'string' },
+  task: { type: 'string', short: 't', multiple: true },
+  validate: { type: 'boolean' },
+  help: { type: 'boolean', short: 'h' },
+  version: { type: 'boolean', short: 'v' }
+};
+
+/**
+ * Error raised for invalid command-line usage.
+ */
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+/**
+ * Parses a non-negative integer option.
+ *
+ * @param {string} name - Option name, for error messages.
+ * @param {string} value - Raw option value.
+ * @returns {number}
+ */
+function toInteger(name, value) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0) throw new UsageError(`--${name} must be a non-negative integer, got '${value}'`);
+  return number;
+}
+
+/**
+ * Gives a bare `--flatten`/`-f` the value `true`, as it may be used without one. Strategies are only taken
+ * from `--flatten=<value>`, so a following source named e.g. `2024` stays a source.
+ *
+ * @param {string[]} argv - Command-line arguments.
+ * @returns {string[]}
+ */
+function expandFlatten(argv) {
+  const args = [];
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--') {
+      args.push(...argv.slice(i));
+      break;
+    }
+    args.push(arg === '--flatten' || arg === '-f' ? '--flatten=true' : arg);
+  }
+  return args;
+}
+
+/**
+ * Parses the `--flatten` option: `true`, a number of leading folders to drop or `prefix`.
+ *
+ * @param {string} value - Raw option value.
+ * @returns {boolean|number|string}
+ */
+function toFlatten(value) {
+  if (value === 'true') return true;
+  if (value === 'prefix') return value;
+  if (!/^\d+$/.test(value)) throw new UsageError(`--flatten must be a number of folders or 'prefix', got '${value}'`);
+  return Number(value);
+}
+
+/**
+ * Converts parsed command-line options to task options, leaving out options that were not given.
+ *
+ * @param {Object} values - Values returned by `parseArgs`.
+ * @returns {Object} - Task options.
+ */
+function toTaskOptions(values) {
+  const options = {
+    depth: values.depth !== undefined ? toInteger('depth', values.depth) : undefined,
+    height: values.height !== undefined ? toInteger('height', values.height) : undefined,
+    flatten: values.flatten !== undefined ? toFlatten(values.flatten) : undefined,
+    flattenSeparator: values['flatten-separator'],
+    conflictResolution: values.conflict,
+    renamePattern: values['rename-pattern'],
+    backupDir: values['backup-dir'],
+    compare: values.compare,
+    manifest: values.manifest,
+    journal: values.journal,
+    resume: values.resume,
+    include: values.include,
+    exclude: values.exclude,
+    mirror: values.mirror,
+    symlinks: values.symlinks,
+    preserve: values.preserve !== undefined ? values.preserve.split(',').map(name => name.trim()).filter(Boolean) : undefined,
+    atomic: values.atomic,
+    transaction: values.transaction,
+    extract: values.extract,
+    dryRun: values['dry-run'],
+    logLevel: values.log,
+    failFast: values['fail-fast']
+  };
+  return Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined));
+}
+
+/**
+ * Loads an array of tasks from a config file: a JavaScript module exporting the tasks
+ * (or a function returning them), a JSON file, or a `package.json` with a `copyRecursive` key.
+ *
+ * @param {string} file - Path to the config file.
+ * @returns {Promise<Object[]>}
+ */
+export async function loadConfigFile(file) {
+  let tasks;
+  if (/\.(c|m)?js$/.test(file)) {
+    const module = await import(pathToFileURL(path.resolve(file)).href);
+    tasks = typeof module.default === 'function' ? await module.default() : module.default;
+  } else {
+    const data = JSON.parse(await fs.readFile(file, 'utf8'));
+    tasks = path.basename(file) === 'package.json' ? data[PACKAGE_KEY] : data;
+  }
+  if (!Array.isArray(tasks)) throw new UsageError(`${file} does not define an array of copy tasks`);
+  return tasks;
+}
+
+/**
+ * Finds and loads the tasks of a project: the first existing config file in `cwd`,
+ * or the `copyRecursive` key of its `package.json`.
+ *
+ * @param {string} cwd - Directory to search.
+ * @returns {Promise<Object[]|null>} - Tasks, or `null` when no config was found.
+ */
+export async function findConfig(cwd) {
+  for (const name of CONFIG_FILES) {
+    const file = path.join(cwd, name);
+    const exists = await fs.access(file).then(() => true, () => false);
+    if (exists) return loadConfigFile(file);
+  }
+  try {
+    const data = JSON.parse(await fs.readFile(path.join(cwd, 'package.json'), 'utf8'));
+    if (data[PACKAGE_KEY]) return loadConfigFile(path.join(cwd, 'package.json'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+  return null;
+}
+
+/**
+ * Runs the command-line interface.
+ *
+ * @param {string[]} argv - Command-line arguments, without the node and script paths.
+ * @param {Object} [io] - Environment.
+ * @param {string} [io.cwd=process.cwd()] - Working directory to resolve configs from.
+ * @param {Function} [io.log=console.log] - Output function.
+ * @param {Function} [io.error=console.error] - Error output function.
+ * @param {AbortSignal} [io.signal] - Signal interrupting the copy, e.g. on Ctrl+C.
+ * @returns {Promise<number>} - Exit code: 0 on success, 1 when any copy failed, 2 on usage and configuration errors,
+ *   130 when interrupted.
+ */
+export async function run(argv, { cwd = process.cwd(), log = console.log, error = console.error, signal } = {}) {
+  try {
+    const { values, positionals } = parseArgs({ args: expandFlatten(argv), options: OPTIONS, allowPositionals: true });
+
+    if (values.help) {
+      log(USAGE);
+      return 0;
+    }
+    if (values.version) {
+      const pkg = JSON.parse(await fs.readFile(new URL('../package.json', import.meta.url), 'utf8'));
+      log(pkg.version);
+      return 0;
+    }
+
+    const overrides = toTaskOptions(values);
+    let tasks;
+    if (positionals.length > 0) {
+      if (positionals.length < 2) throw new UsageError('Expected at least one source and a destination');
+      if (values.config || values.task) throw new UsageError('--config and --task cannot be combined with sources');
+      tasks = [{ src: positionals.slice(0, -1), dest: positionals[positionals.length - 1] }];
+    } else {
+      tasks = values.config ? await loadConfigFile(path.resolve(cwd, values.config)) : await findConfig(cwd);
+      if (!tasks) throw new UsageError(`No sources given and no config found in ${cwd}`);
+    }
+
+    if (values.task) {
+      const missing = values.task.filter(name => !tasks.some(task => task.name === name));
+      if (missing.length > 0) throw new UsageError(`Unknown task(s): ${missing.join(', ')}`);
+      tasks = tasks.filter(task => values.task.includes(task.name));
+    }
+
+    tasks = tasks.map(task => ({ ...task, ...overrides }));
+    if (values.validate) {
+      const { errors, warnings } = await validate(tasks);
+      for (const warning of warnings) error(`Warning: ${warning.message}`);
+      if (errors.length > 0) throw new ValidationError(errors);
+      log('Configuration is valid');
+      return 0;
+    }
+
+    const concurrency = values.concurrency !== undefined ? toInteger('concurrency', values.concurrency) : 1;
+    const report = await copy(tasks, { concurrency: Math.max(concurrency, 1), signal });
+    if (overrides.dryRun && !overrides.logLevel) {
+      for (const entry of report.files) log(`${entry.action}: ${entry.src ? `${entry.src} -> ` : ''}${entry.dest}`);
+    }
+    for (const warning of report.warnings) error(`Warning: ${warning.message}`);
+    return report.errors.length > 0 ? 1 : 0;
+  } catch (err) {
+    if (err instanceof UsageError || err.code === 'ERR_PARSE_ARGS_UNKNOWN_OPTION' || err.code === 'ERR_PARSE_ARGS_INVALID_OPTION_VALUE') {
+      error(`copy-recursive: ${err.message}`);
+      error('Run copy-recursive --help for usage.');
+      return 2;
+    }
+    if (err instanceof ValidationError) {
+      error(`copy-recursive: ${err.message}`);
+      return 2;
+    }
+    if (err instanceof AbortError) {
+      error(`copy-recursive: ${err.message} after ${err.report.files.length} file(s)`);
+      return 130;
+    }
+    error(`copy-recursive: ${err.message}`);
+    return 1;
+  }
+}
@@ -0,0 +1,62 @@
+/**
+ * Error raised for a failed copy operation.
+ * Carries the error `code` of the underlying failure and the paths involved.
+ */
+export class CopyError extends Error {
+  /**
+   * @param {string} message - Error message.
+   * @param {Object} [details] - Error details.
+   * @param {string} [details.code='ECOPY'] - Error code, e.g. `ENOENT` or `EISDIR`.
+   * @param {string|null} [details.src=null] - Source path.
+   * @param {string|null} [details.dest=null] - Destination path.
+   * @param {Error} [details.cause] - Underlying error.
+   */
+  constructor(message, { code = 'ECOPY', src = null, dest = null, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = 'CopyError';
+    this.code = code;
+    this.src = src;
+    this.dest = dest;
+  }
+
+  /**
+   * Wraps any error into a `CopyError`, keeping existing ones.
+   *
+   * @param {Error} err - Error to wrap.
+   * @param {string|null} src - Source path.
+   * @param {string|null} dest - Destination path.
+   * @returns {CopyError}
+   */
+  static from(err, src, dest) {
+    if (err instanceof CopyError) return err;
+    return new CopyError(err.message, { code: err.code, src, dest, cause: err });
+  }
+}
+
+/**
+ * Error raised by {@link copy} for an invalid configuration, before any file is copied.
+ * Carries the `issues` reported by `validate(cfg)`.
+ */
+export class ValidationError extends CopyError {
+  /**
+   * @param {Object[]} issues - Validation errors, each with `task`, `key` and `message`.
+   */
+  constructor(issues) {
+    super(`Invalid copy configuration:\n${issues.map(issue => `  - ${issue.message}`).join('\n')}`, { code: 'EINVALID' });
+    this.name = 'ValidationError';
+    this.issues = issues;
+  }
+}
+
+/**
+ * Error raised by {@link copy} when its `signal` aborts. Its `report` lists the files completed until then.
+ */
+export class AbortError extends CopyError {
+  /**
+   * @param {*} [reason] - Abort reason of the signal, e.g. a `TimeoutError` from `AbortSignal.timeout()`.
+   */
+  constructor(reason) {
+    super('The copy was aborted', { code: 'ABORT_ERR', cause: reason });
+    this.name = 'AbortError';
+  }
+}
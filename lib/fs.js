@@ -0,0 +1,239 @@
+import { createReadStream, createWriteStream } from 'fs';
+import fs from 'fs/promises';
+import path from 'path';
+import { Readable, Writable } from 'stream';
+import { pipeline } from 'stream/promises';
+
+/**
+ * Descriptions of the error codes raised by virtual filesystems, as worded by Node's `fs` module.
+ */
+const MESSAGES = {
+  ENOENT: 'no such file or directory',
+  EEXIST: 'file already exists',
+  ENOTDIR: 'not a directory',
+  EISDIR: 'illegal operation on a directory',
+  ENOTEMPTY: 'directory not empty',
+  EINVAL: 'invalid argument',
+  ELOOP: 'too many symbolic links encountered',
+  EXDEV: 'cross-device link not permitted',
+  ENOSYS: 'not supported by the filesystem adapter'
+};
+
+/**
+ * Creates an error shaped like the ones of Node's `fs` module, for filesystems that do not use the disk.
+ *
+ * @param {string} code - Error code such as `ENOENT`.
+ * @param {string} syscall - Name of the failed operation.
+ * @param {string} filePath - Path the operation failed on.
+ * @returns {Error}
+ */
+export function fsError(code, syscall, filePath) {
+  const err = new Error(`${code}: ${MESSAGES[code] || 'operation failed'}, ${syscall} '${filePath}'`);
+  err.code = code;
+  err.syscall = syscall;
+  err.path = filePath;
+  return err;
+}
+
+/**
+ * Filesystem of the local disk. Other filesystems, such as archives, implement the same methods
+ * with the signatures of `fs/promises`, plus the `createReadStream` and `createWriteStream` stream factories.
+ */
+export const localFs = {
+  stat: (...args) => fs.stat(...args),
+  lstat: (...args) => fs.lstat(...args),
+  readdir: (...args) => fs.readdir(...args),
+  mkdir: (...args) => fs.mkdir(...args),
+  readFile: (...args) => fs.readFile(...args),
+  writeFile: (...args) => fs.writeFile(...args),
+  copyFile: (...args) => fs.copyFile(...args),
+  rename: (...args) => fs.rename(...args),
+  rm: (...args) => fs.rm(...args),
+  access: (...args) => fs.access(...args),
+  symlink: (...args) => fs.symlink(...args),
+  readlink: (...args) => fs.readlink(...args),
+  chmod: (...args) => fs.chmod(...args),
+  chown: (...args) => fs.chown(...args),
+  lchown: (...args) => fs.lchown(...args),
+  utimes: (...args) => fs.utimes(...args),
+  lutimes: (...args) => fs.lutimes(...args),
+  createReadStream: (...args) => createReadStream(...args),
+  createWriteStream: (...args) => createWriteStream(...args)
+};
+
+/**
+ * Methods every filesystem adapter implements. Adapters also implement `copyFile`, or read and write
+ * files with `readFile`/`createReadStream` and `writeFile`/`createWriteStream`; adapters only used
+ * as a source, or only as a destination, may leave out writing, or reading.
+ */
+export const ADAPTER_METHODS = ['stat', 'readdir', 'mkdir', 'access', 'rm'];
+
+/**
+ * Methods adapters may leave out; calling them fails with `ENOSYS`. `rename` is needed by atomic writes,
+ * transactions and backups, `symlink` and `readlink` by preserved symlinks and the rest by `preserve`.
+ */
+const OPTIONAL_METHODS = ['rename', 'symlink', 'readlink', 'chmod', 'chown', 'lchown', 'utimes', 'lutimes'];
+
+/**
+ * Checks which methods a filesystem adapter is missing.
+ *
+ * @param {Object} adapter - Filesystem adapter.
+ * @returns {string[]} - Missing method names, empty for complete adapters.
+ */
+export function missingMethods(adapter) {
+  const has = method => typeof adapter[method] === 'function';
+  const missing = ADAPTER_METHODS.filter(method => !has(method));
+  if (!['copyFile', 'readFile', 'createReadStream', 'writeFile', 'createWriteStream'].some(has)) {
+    missing.push('copyFile or streams');
+  }
+  return missing;
+}
+
+/**
+ * Completes a filesystem adapter implementing the minimal interface with the methods the copy needs:
+ * `lstat` falls back to `stat`, files are read, written and copied through whichever of `readFile`,
+ * `writeFile`, `copyFile` and the stream factories exist, and `readdir` supports `withFileTypes`.
+ *
+ * @param {Object} [adapter] - Filesystem adapter; defaults to the local disk.
+ * @returns {Object} - Filesystem with the methods of {@link localFs}.
+ */
+export function createAdapter(adapter) {
+  if (!adapter || adapter === localFs) return localFs;
+  const method = name => typeof adapter[name] === 'function' ? adapter[name].bind(adapter) : null;
+  const unsupported = name => async filePath => {
+    throw fsError('ENOSYS', name, filePath);
+  };
+
+  const complete = Object.fromEntries(OPTIONAL_METHODS.map(name => [name, method(name) || unsupported(name)]));
+  for (const name of ADAPTER_METHODS) complete[name] = method(name);
+  complete.lstat = method('lstat') || complete.stat;
+
+  const readFile = method('readFile');
+  const writeFile = method('writeFile');
+  const createReadStream = method('createReadStream');
+  const createWriteStream = method('createWriteStream');
+  complete.createReadStream = createReadStream || (filePath => Readable.from((async function* () {
+    if (!readFile) throw fsError('ENOSYS', 'open', filePath);
+    yield await readFile(filePath);
+  })(), { objectMode: false }));
+  complete.createWriteStream = createWriteStream || (filePath => {
+    const chunks = [];
+    return new Writable({
+      write(chunk, encoding, callback) {
+        chunks.push(Buffer.from(chunk, encoding));
+        callback();
+      },
+      final(callback) {
+        if (!writeFile) callback(fsError('ENOSYS', 'open', filePath));
+        else writeFile(filePath, Buffer.concat(chunks)).then(() => callback(), callback);
+      }
+    });
+  });
+  complete.readFile = readFile || (async (filePath, options) => {
+    const chunks = [];
+    for await (const chunk of complete.createReadStream(filePath)) chunks.push(Buffer.from(chunk));
+    const encoding = typeof options === 'string' ? options : options?.encoding;
+    return encoding ? Buffer.concat(chunks).toString(encoding) : Buffer.concat(chunks);
+  });
+  complete.writeFile = writeFile || ((filePath, data) => pipeline(Readable.from([Buffer.from(data)]), complete.createWriteStream(filePath)));
+  complete.copyFile = method('copyFile') || ((source, dest) => pipeline(complete.createReadStream(source), complete.createWriteStream(dest)));
+
+  complete.readdir = async (dir, options) => {
+    const entries = await adapter.readdir(dir, options);
+    if (!options?.withFileTypes) return entries;
+    return Promise.all(entries.map(async entry => {
+      if (typeof entry !== 'string') return entry;
+      const stats = await complete.lstat(path.join(dir, entry));
+      return { name: entry, isFile: () => stats.isFile(), isDirectory: () => stats.isDirectory(), isSymbolicLink: () => stats.isSymbolicLink() };
+    }));
+  };
+  return complete;
+}
+
+/**
+ * Methods taking a single path, routed to the filesystem mounted at that path.
+ */
+const PATH_METHODS = [
+  'stat', 'lstat', 'readdir', 'mkdir', 'readFile', 'writeFile', 'rm', 'access', 'readlink',
+  'chmod', 'chown', 'lchown', 'utimes', 'lutimes', 'createReadStream', 'createWriteStream'
+];
+
+/**
+ * Creates a filesystem routing every path to the filesystem mounted at its longest matching root,
+ * or to `fallback` outside of all mounts. Files copied between two filesystems are streamed;
+ * renames between them fail with `EXDEV`, like renames across devices.
+ *
+ * @param {Object} [fallback=localFs] - Filesystem of the paths outside of all mounts.
+ * @returns {Object} - Filesystem with `mount(root, fs)` and `flush()` added.
+ */
+export function createMountFs(fallback = localFs) {
+  const mounts = [];
+  const route = filePath => {
+    const resolved = path.resolve(String(filePath));
+    const mount = mounts.find(({ root }) => resolved === root || resolved.startsWith(root + path.sep));
+    return mount ? mount.fs : fallback;
+  };
+
+  const mountFs = {
+    /**
+     * Returns the filesystem serving a path.
+     *
+     * @param {string} filePath - Path to look up.
+     * @returns {Object}
+     */
+    adapterFor: route,
+
+    /**
+     * Serves the paths under `root` from another filesystem.
+     *
+     * @param {string} root - Mount point.
+     * @param {Object} target - Filesystem serving the mount point.
+     */
+    mount(root, target) {
+      const resolved = path.resolve(root);
+      const index = mounts.findIndex(mount => mount.root === resolved);
+      if (index >= 0) mounts.splice(index, 1);
+      mounts.push({ root: resolved, fs: target });
+      mounts.sort((a, b) => b.root.length - a.root.length);
+    },
+
+    /**
+     * Calls `flush()` on the mounted filesystems that need it, e.g. to write archives to disk.
+     *
+     * @returns {Promise<void>}
+     */
+    async flush() {
+      for (const { fs: target } of mounts) {
+        if (typeof target.flush === 'function') await target.flush();
+      }
+    },
+
+    /**
+     * Copies a file, streaming it between two filesystems.
+     *
+     * @param {string} source - Path to the source file.
+     * @param {string} dest - Path to the destination file.
+     * @param {Object} [options] - Copy options.
+     * @param {AbortSignal} [options.signal] - Signal interrupting a streamed copy.
+     * @returns {Promise<void>}
+     */
+    async copyFile(source, dest, { signal } = {}) {
+      const from = route(source);
+      const to = route(dest);
+      if (from === to) return from.copyFile(source, dest);
+      await pipeline(from.createReadStream(source), to.createWriteStream(dest), { signal });
+    },
+
+    async rename(oldPath, newPath) {
+      const from = route(oldPath);
+      if (from !== route(newPath)) throw fsError('EXDEV', 'rename', oldPath);
+      return from.rename(oldPath, newPath);
+    },
+
+    symlink: (target, linkPath) => route(linkPath).symlink(target, linkPath)
+  };
+  for (const method of PATH_METHODS) {
+    mountFs[method] = (filePath, ...args) => route(filePath)[method](filePath, ...args);
+  }
+  return mountFs;
+}
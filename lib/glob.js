@@ -0,0 +1,201 @@
+import path from 'path';
+import { localFs } from './fs.js';
+
+const GLOB_CHARS = /[*?[\]{}]/;
+
+/**
+ * Converts a platform path to a forward-slash path used for glob matching.
+ *
+ * @param {string} filePath - Path to convert.
+ * @returns {string} - Path with `/` separators.
+ */
+export function toPosix(filePath) {
+  return filePath.split(path.sep).join('/');
+}
+
+/**
+ * Checks whether a pattern is negated (starts with `!`).
+ *
+ * @param {string} pattern - Pattern to check.
+ * @returns {boolean}
+ */
+export function isNegated(pattern) {
+  return typeof pattern === 'string' && pattern.startsWith('!');
+}
+
+/**
+ * Checks whether a string contains glob syntax.
+ *
+ * @param {string} pattern - Pattern to check.
+ * @returns {boolean}
+ */
+export function isGlob(pattern) {
+  return typeof pattern === 'string' && (isNegated(pattern) || GLOB_CHARS.test(pattern));
+}
+
+/**
+ * Converts a glob pattern to a regular expression.
+ * Supports `*`, `?`, `**`, `[...]` classes and `{a,b}` alternatives.
+ *
+ * @param {string} pattern - Glob pattern with `/` separators.
+ * @returns {RegExp}
+ */
+export function globToRegExp(pattern) {
+  if (pattern.endsWith('/**')) {
+    const prefix = globToRegExp(pattern.slice(0, -3)).source.slice(1, -1);
+    return new RegExp(`^${prefix}(?:/.*)?$`);
+  }
+  let re = '';
+  let braces = 0;
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    switch (char) {
+      case '*':
+        if (pattern[i + 1] === '*') {
+          const atStart = i === 0 || pattern[i - 1] === '/';
+          if (atStart && pattern[i + 2] === '/') {
+            re += '(?:.*/)?';
+            i += 2;
+          } else {
+            re += '.*';
+            i += 1;
+          }
+        } else {
+          re += '[^/]*';
+        }
+        break;
+      case '?':
+        re += '[^/]';
+        break;
+      case '[': {
+        const close = pattern.indexOf(']', i + 1);
+        if (close === -1) {
+          re += '\\[';
+          break;
+        }
+        let body = pattern.slice(i + 1, close);
+        if (body.startsWith('!')) body = '^' + body.slice(1);
+        re += `[${body.replace(/\\/g, '\\\\')}]`;
+        i = close;
+        break;
+      }
+      case '{':
+        braces++;
+        re += '(?:';
+        break;
+      case '}':
+        if (braces > 0) {
+          braces--;
+          re += ')';
+        } else {
+          re += '\\}';
+        }
+        break;
+      case ',':
+        re += braces > 0 ? '|' : ',';
+        break;
+      default:
+        re += char.replace(/[.+^$()|\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${re}$`);
+}
+
+/**
+ * Returns the static directory part of a glob pattern, i.e. every segment before the first one containing glob syntax.
+ *
+ * @param {string} pattern - Glob pattern with `/` separators.
+ * @returns {string} - Base directory (`.` when the pattern starts with a glob).
+ */
+export function globBase(pattern) {
+  const segments = pattern.split('/');
+  const base = [];
+  for (const segment of segments.slice(0, -1)) {
+    if (GLOB_CHARS.test(segment)) break;
+    base.push(segment);
+  }
+  if (base.length === 0) return '.';
+  return base.join('/') || '/';
+}
+
+/**
+ * Creates a matcher for a list of globs or predicate functions.
+ * Patterns without a `/` are matched against the entry name, others against the whole relative path.
+ *
+ * @param {string|Function|Array<string|Function>} patterns - Globs or predicates.
+ * @returns {Function|null} - `(relativePath, sourcePath, stats) => boolean`, or `null` when no patterns were given.
+ */
+export function createMatcher(patterns) {
+  if (patterns === undefined || patterns === null) return null;
+  const list = (Array.isArray(patterns) ? patterns : [patterns]).map(pattern => {
+    if (typeof pattern === 'function') return pattern;
+    const normalized = pattern.replace(/^\.\//, '').replace(/\/$/, '');
+    const re = globToRegExp(normalized);
+    if (normalized.includes('/')) return relativePath => re.test(relativePath);
+    return relativePath => re.test(relativePath.slice(relativePath.lastIndexOf('/') + 1));
+  });
+  return (relativePath, sourcePath, stats) => list.some(test => test(relativePath, sourcePath, stats));
+}
+
+/**
+ * Builds the entry filter of a task from its include/exclude options and negated source patterns.
+ * `include` only restricts files, so directories are still descended into; excluded directories are not.
+ *
+ * @param {Object} options - Filter options.
+ * @param {string|Function|Array<string|Function>} [options.include] - Entries to keep.
+ * @param {string|Function|Array<string|Function>} [options.exclude] - Entries to drop.
+ * @param {RegExp[]} [options.ignore=[]] - Absolute path patterns to drop (negated `src` globs).
+ * @returns {Function} - `(relativePath, sourcePath, stats) => boolean`
+ */
+export function createFilter({ include, exclude, ignore = [] }) {
+  const isIncluded = createMatcher(include);
+  const isExcluded = createMatcher(exclude);
+  return (relativePath, sourcePath, stats) => {
+    if (ignore.some(re => re.test(toPosix(path.resolve(sourcePath))))) return false;
+    if (isExcluded && isExcluded(relativePath, sourcePath, stats)) return false;
+    if (isIncluded && !stats.isDirectory() && !isIncluded(relativePath, sourcePath, stats)) return false;
+    return true;
+  };
+}
+
+/**
+ * Expands a glob pattern into matching files and directories.
+ * Matched directories are returned as a whole and not descended into.
+ *
+ * @param {string} pattern - Glob pattern (relative to the working directory or absolute).
+ * @param {RegExp[]} [ignore=[]] - Absolute path patterns to skip; ignored directories are not descended into.
+ * @param {Object} [fs=localFs] - Filesystem to walk.
+ * @returns {Promise<{path: string, base: string, relative: string}[]>} - Matches sorted by path.
+ */
+export async function expandGlob(pattern, ignore = [], fs = localFs) {
+  const absolute = toPosix(path.resolve(pattern));
+  const re = globToRegExp(absolute);
+  const base = globBase(absolute);
+  const rest = absolute.slice(base.length).replace(/^\//, '');
+  const maxDepth = rest.includes('**') ? Infinity : rest.split('/').length;
+  const matches = [];
+
+  async function walk(dir, level) {
+    let entries;
+    try {
+      entries = await fs.readdir(dir, { withFileTypes: true });
+    } catch (err) {
+      if (err.code === 'ENOENT' || err.code === 'ENOTDIR') return;
+      throw err;
+    }
+    entries.sort((a, b) => a.name.localeCompare(b.name));
+    for (const entry of entries) {
+      const fullPath = path.join(dir, entry.name);
+      const posixPath = toPosix(fullPath);
+      if (ignore.some(ignored => ignored.test(posixPath))) continue;
+      if (re.test(posixPath)) {
+        matches.push({ path: fullPath, base, relative: toPosix(path.relative(base, fullPath)) });
+      } else if (entry.isDirectory() && level < maxDepth) {
+        await walk(fullPath, level + 1);
+      }
+    }
+  }
+
+  await walk(base, 1);
+  return matches;
+}
@@ -0,0 +1,101 @@
+import { randomBytes } from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { localFs } from './fs.js';
+
+const JOURNAL_VERSION = 1;
+
+/**
+ * Minimum delay in milliseconds between two checkpoints written while a task runs.
+ */
+const CHECKPOINT_INTERVAL = 1000;
+
+/**
+ * Loads a copy journal, recording the files a task completed so an interrupted copy can be resumed.
+ * Each entry keeps the size and mtime of the source and of the written copy; a file counts as done
+ * while both are unchanged. The journal is written to disk at most once per second while files
+ * complete, and whenever `save()` is called.
+ * Without a journal path nothing is recorded.
+ *
+ * @param {string} [journalPath] - Path to the JSON journal file.
+ * @param {boolean} [resume=false] - Whether to keep the entries of an existing journal; otherwise it starts empty.
+ * @param {Object} [adapter=localFs] - Filesystem holding the copied files; the journal itself is on the local disk.
+ * @returns {Promise<{completed: Function, record: Function, save: Function}>}
+ */
+export async function loadJournal(journalPath, resume = false, adapter = localFs) {
+  let files = {};
+  if (journalPath && resume) {
+    try {
+      const data = JSON.parse(await fs.readFile(journalPath, 'utf8'));
+      if (data.version === JOURNAL_VERSION && data.files) files = data.files;
+    } catch (err) {
+      if (err.code !== 'ENOENT' && !(err instanceof SyntaxError)) throw err;
+    }
+  }
+
+  let saved = Date.now();
+  let writing = Promise.resolve();
+  const write = async () => {
+    const temp = `${journalPath}.${randomBytes(4).toString('hex')}.tmp`;
+    await fs.mkdir(path.dirname(journalPath), { recursive: true });
+    await fs.writeFile(temp, JSON.stringify({ version: JOURNAL_VERSION, files }, null, 2));
+    await fs.rename(temp, journalPath);
+  };
+
+  const journal = {
+    /**
+     * Returns where a file was copied to, if the journal lists it as done and neither the source
+     * nor the copy changed since.
+     *
+     * @param {string} source - Path to the source file.
+     * @param {fs.Stats} stats - Current stats of the source file.
+     * @param {string} destPath - Destination path of the file, before conflict renames.
+     * @returns {Promise<string|null>} - Path of the copy, or `null` when the file still needs copying.
+     */
+    async completed(source, stats, destPath) {
+      const entry = files[path.resolve(source)];
+      if (!entry || entry.target !== path.resolve(destPath)) return null;
+      if (entry.size !== stats.size || entry.mtimeMs !== stats.mtimeMs) return null;
+      const destStats = await adapter.stat(entry.dest).catch(() => null);
+      if (!destStats || !destStats.isFile()) return null;
+      return destStats.size === entry.destSize && destStats.mtimeMs === entry.destMtimeMs ? entry.dest : null;
+    },
+
+    /**
+     * Records a completed file, writing a checkpoint when the last one is older than a second.
+     *
+     * @param {string} source - Path to the source file.
+     * @param {fs.Stats} stats - Stats of the source file.
+     * @param {string} target - Destination path of the file, before conflict renames.
+     * @param {string} dest - Path the file was written to.
+     * @param {fs.Stats} destStats - Stats of the written file.
+     */
+    record(source, stats, target, dest, destStats) {
+      if (!journalPath) return;
+      files[path.resolve(source)] = {
+        target: path.resolve(target),
+        dest: path.resolve(dest),
+        size: stats.size,
+        mtimeMs: stats.mtimeMs,
+        destSize: destStats.size,
+        destMtimeMs: destStats.mtimeMs
+      };
+      // Failed checkpoints surface from the next `save()`.
+      if (Date.now() - saved >= CHECKPOINT_INTERVAL) journal.save().catch(() => {});
+    },
+
+    /**
+     * Writes the journal to disk, if a path was given. Writes never overlap, and each one
+     * replaces the file through a rename so an interrupted write keeps the previous checkpoint.
+     *
+     * @returns {Promise<void>}
+     */
+    save() {
+      if (!journalPath) return Promise.resolve();
+      saved = Date.now();
+      writing = writing.then(write);
+      return writing;
+    }
+  };
+  return journal;
+}
@@ -0,0 +1,80 @@
+import { createHash } from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { localFs } from './fs.js';
+
+const MANIFEST_VERSION = 1;
+
+/**
+ * Computes the SHA-1 hash of a file's contents.
+ *
+ * @param {string} filePath - Path to the file.
+ * @param {Object} [adapter=localFs] - Filesystem holding the file.
+ * @returns {Promise<string>} - Hex digest.
+ */
+export async function hashFile(filePath, adapter = localFs) {
+  const hash = createHash('sha1');
+  for await (const chunk of adapter.createReadStream(filePath)) hash.update(chunk);
+  return hash.digest('hex');
+}
+
+/**
+ * Loads a hash manifest, caching file hashes between runs.
+ * Cached hashes are reused while a file's size and mtime are unchanged.
+ * Without a manifest path hashes are still cached for the current run only.
+ *
+ * @param {string} [manifestPath] - Path to the JSON manifest file.
+ * @param {Object} [adapter=localFs] - Filesystem holding the hashed files; the manifest itself is on the local disk.
+ * @returns {Promise<{hash: Function, update: Function, save: Function}>}
+ */
+export async function loadManifest(manifestPath, adapter = localFs) {
+  let files = {};
+  if (manifestPath) {
+    try {
+      const data = JSON.parse(await fs.readFile(manifestPath, 'utf8'));
+      if (data.version === MANIFEST_VERSION && data.files) files = data.files;
+    } catch (err) {
+      if (err.code !== 'ENOENT' && !(err instanceof SyntaxError)) throw err;
+    }
+  }
+
+  return {
+    /**
+     * Returns the hash of a file, from the cache when still valid.
+     *
+     * @param {string} filePath - Path to the file.
+     * @param {fs.Stats} stats - Current stats of the file.
+     * @returns {Promise<string>}
+     */
+    async hash(filePath, stats) {
+      const key = path.resolve(filePath);
+      const entry = files[key];
+      if (entry && entry.size === stats.size && entry.mtimeMs === stats.mtimeMs) return entry.hash;
+      const hash = await hashFile(filePath, adapter);
+      files[key] = { size: stats.size, mtimeMs: stats.mtimeMs, hash };
+      return hash;
+    },
+
+    /**
+     * Records a known hash for a file, e.g. a destination just copied from a hashed source.
+     *
+     * @param {string} filePath - Path to the file.
+     * @param {fs.Stats} stats - Current stats of the file.
+     * @param {string} hash - Hash of the file's contents.
+     */
+    update(filePath, stats, hash) {
+      files[path.resolve(filePath)] = { size: stats.size, mtimeMs: stats.mtimeMs, hash };
+    },
+
+    /**
+     * Writes the manifest to disk, if a path was given.
+     *
+     * @returns {Promise<void>}
+     */
+    async save() {
+      if (!manifestPath) return;
+      await fs.mkdir(path.dirname(manifestPath), { recursive: true });
+      await fs.writeFile(manifestPath, JSON.stringify({ version: MANIFEST_VERSION, files }, null, 2));
+    }
+  };
+}
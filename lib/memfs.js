@@ -0,0 +1,319 @@
+import path from 'path';
+import { Readable, Writable } from 'stream';
+import { fsError } from './fs.js';
+
+/**
+ * File type bits of `stats.mode`.
+ */
+const TYPE_BITS = { file: 0o100000, directory: 0o040000, symlink: 0o120000 };
+
+/**
+ * Permissions of new entries.
+ */
+const DEFAULT_MODES = { file: 0o644, directory: 0o755, symlink: 0o777 };
+
+/**
+ * Number of symlinks followed while resolving a path before failing with `ELOOP`.
+ */
+const MAX_LINKS = 40;
+
+let devices = 0;
+
+/**
+ * Converts a timestamp accepted by `fs.utimes` (a date or seconds) to a date.
+ *
+ * @param {Date|number|string} time - Timestamp.
+ * @returns {Date}
+ */
+function toDate(time) {
+  return time instanceof Date ? new Date(time.getTime()) : new Date(Number(time) * 1000);
+}
+
+/**
+ * Creates a filesystem keeping its whole tree in memory, with the methods of {@link localFs}.
+ * Paths outside of `root` do not exist.
+ *
+ * @param {Object} [options] - Filesystem options.
+ * @param {string} [options.root] - Directory the tree starts at; defaults to the root of the current drive.
+ * @param {Object<string, string|Buffer|null>} [options.files] - Initial contents: file paths, resolved like copy paths,
+ *   mapped to their contents; paths ending with a separator or mapped to `null` are folders.
+ * @returns {Object}
+ */
+export function createMemoryFs({ root = path.parse(process.cwd()).root, files = {} } = {}) {
+  const base = path.resolve(root);
+  const dev = ++devices;
+  let inodes = 0;
+
+  const createNode = (type, props = {}) => {
+    const now = new Date();
+    return {
+      type,
+      ino: ++inodes,
+      mode: DEFAULT_MODES[type],
+      uid: process.getuid?.() ?? 0,
+      gid: process.getgid?.() ?? 0,
+      atime: now,
+      mtime: now,
+      birthtime: now,
+      ...(type === 'directory' && { children: new Map() }),
+      ...props
+    };
+  };
+  const rootNode = createNode('directory');
+
+  const toStats = node => {
+    const size = node.type === 'file' ? node.data.length : node.type === 'symlink' ? Buffer.byteLength(node.target) : 0;
+    return {
+      dev,
+      ino: node.ino,
+      mode: TYPE_BITS[node.type] | node.mode,
+      nlink: 1,
+      uid: node.uid,
+      gid: node.gid,
+      rdev: 0,
+      size,
+      blksize: 4096,
+      blocks: Math.ceil(size / 512),
+      atimeMs: node.atime.getTime(),
+      mtimeMs: node.mtime.getTime(),
+      ctimeMs: node.mtime.getTime(),
+      birthtimeMs: node.birthtime.getTime(),
+      atime: new Date(node.atime.getTime()),
+      mtime: new Date(node.mtime.getTime()),
+      ctime: new Date(node.mtime.getTime()),
+      birthtime: new Date(node.birthtime.getTime()),
+      isFile: () => node.type === 'file',
+      isDirectory: () => node.type === 'directory',
+      isSymbolicLink: () => node.type === 'symlink',
+      isBlockDevice: () => false,
+      isCharacterDevice: () => false,
+      isFIFO: () => false,
+      isSocket: () => false
+    };
+  };
+
+  const lookup = (filePath, syscall, follow = true, hops = 0) => {
+    const resolved = path.resolve(String(filePath));
+    const rel = path.relative(base, resolved);
+    if (rel === '..' || rel.startsWith('..' + path.sep) || path.isAbsolute(rel)) throw fsError('ENOENT', syscall, filePath);
+    const segments = rel ? rel.split(path.sep) : [];
+    let node = rootNode;
+    for (const [i, name] of segments.entries()) {
+      if (node.type !== 'directory') throw fsError('ENOTDIR', syscall, filePath);
+      const child = node.children.get(name);
+      if (!child) throw fsError('ENOENT', syscall, filePath);
+      if (child.type === 'symlink' && (follow || i < segments.length - 1)) {
+        if (hops >= MAX_LINKS) throw fsError('ELOOP', syscall, filePath);
+        const linkPath = path.join(base, ...segments.slice(0, i + 1));
+        const target = path.resolve(path.dirname(linkPath), child.target);
+        return lookup(path.join(target, ...segments.slice(i + 1)), syscall, follow, hops + 1);
+      }
+      node = child;
+    }
+    return node;
+  };
+
+  // Returns the directory holding an entry and the entry name, for operations creating or removing it.
+  const locate = (filePath, syscall) => {
+    const resolved = path.resolve(String(filePath));
+    if (resolved === base) throw fsError('EISDIR', syscall, filePath);
+    const parent = lookup(path.dirname(resolved), syscall);
+    if (parent.type !== 'directory') throw fsError('ENOTDIR', syscall, filePath);
+    return { parent, name: path.basename(resolved) };
+  };
+
+  const makeDir = (filePath, syscall) => {
+    const resolved = path.resolve(String(filePath));
+    let first;
+    const segments = path.relative(base, resolved).split(path.sep).filter(Boolean);
+    for (let i = 1; i <= segments.length; i++) {
+      const dir = path.join(base, ...segments.slice(0, i));
+      try {
+        if (lookup(dir, syscall).type !== 'directory') throw fsError('ENOTDIR', syscall, filePath);
+      } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+        const { parent, name } = locate(dir, syscall);
+        parent.children.set(name, createNode('directory'));
+        first = first || dir;
+      }
+    }
+    return first;
+  };
+
+  const writeData = (filePath, data) => {
+    const contents = typeof data === 'string' ? Buffer.from(data) : Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+    const { parent, name } = locate(filePath, 'open');
+    const existing = parent.children.get(name);
+    const node = existing && existing.type === 'symlink' ? lookup(filePath, 'open') : existing;
+    if (node && node.type === 'directory') throw fsError('EISDIR', 'open', filePath);
+    if (node) {
+      node.data = Buffer.from(contents);
+      node.mtime = new Date();
+    } else {
+      parent.children.set(name, createNode('file', { data: Buffer.from(contents) }));
+    }
+  };
+
+  for (const [filePath, contents] of Object.entries(files)) {
+    if (contents === null || /[\\/]$/.test(filePath)) {
+      makeDir(filePath, 'mkdir');
+    } else {
+      makeDir(path.dirname(path.resolve(filePath)), 'mkdir');
+      writeData(filePath, contents);
+    }
+  }
+
+  const memoryFs = {
+    async stat(filePath) {
+      return toStats(lookup(filePath, 'stat'));
+    },
+
+    async lstat(filePath) {
+      return toStats(lookup(filePath, 'lstat', false));
+    },
+
+    async readdir(filePath, options = {}) {
+      const node = lookup(filePath, 'scandir');
+      if (node.type !== 'directory') throw fsError('ENOTDIR', 'scandir', filePath);
+      const names = [...node.children.keys()].sort();
+      if (!options.withFileTypes) return names;
+      return names.map(name => {
+        const child = node.children.get(name);
+        return {
+          name,
+          isFile: () => child.type === 'file',
+          isDirectory: () => child.type === 'directory',
+          isSymbolicLink: () => child.type === 'symlink'
+        };
+      });
+    },
+
+    async mkdir(filePath, { recursive = false } = {}) {
+      const resolved = path.resolve(String(filePath));
+      try {
+        const node = lookup(resolved, 'mkdir');
+        if (recursive && node.type === 'directory') return undefined;
+        throw fsError('EEXIST', 'mkdir', filePath);
+      } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+      }
+      if (recursive) return makeDir(resolved, 'mkdir');
+      const { parent, name } = locate(resolved, 'mkdir');
+      parent.children.set(name, createNode('directory'));
+      return undefined;
+    },
+
+    async readFile(filePath, options) {
+      const node = lookup(filePath, 'open');
+      if (node.type === 'directory') throw fsError('EISDIR', 'read', filePath);
+      const encoding = typeof options === 'string' ? options : options?.encoding;
+      return encoding ? node.data.toString(encoding) : Buffer.from(node.data);
+    },
+
+    async writeFile(filePath, data) {
+      writeData(filePath, data);
+    },
+
+    async copyFile(source, dest) {
+      const { mode } = lookup(source, 'copyfile');
+      await memoryFs.writeFile(dest, await memoryFs.readFile(source));
+      lookup(dest, 'copyfile').mode = mode;
+    },
+
+    async rename(oldPath, newPath) {
+      const from = locate(oldPath, 'rename');
+      const node = from.parent.children.get(from.name);
+      if (!node) throw fsError('ENOENT', 'rename', oldPath);
+      const resolved = path.resolve(String(newPath));
+      if (node.type === 'directory' && resolved.startsWith(path.resolve(String(oldPath)) + path.sep)) {
+        throw fsError('EINVAL', 'rename', oldPath);
+      }
+      const to = locate(newPath, 'rename');
+      const existing = to.parent.children.get(to.name);
+      if (existing && existing.type === 'directory') {
+        if (node.type !== 'directory') throw fsError('EISDIR', 'rename', newPath);
+        if (existing.children.size > 0) throw fsError('ENOTEMPTY', 'rename', newPath);
+      } else if (existing && node.type === 'directory') {
+        throw fsError('ENOTDIR', 'rename', newPath);
+      }
+      from.parent.children.delete(from.name);
+      to.parent.children.set(to.name, node);
+    },
+
+    async rm(filePath, { recursive = false, force = false } = {}) {
+      if (path.resolve(String(filePath)) === base) {
+        if (!recursive) throw fsError('EISDIR', 'rm', filePath);
+        rootNode.children.clear();
+        return;
+      }
+      let node;
+      let location;
+      try {
+        location = locate(filePath, 'rm');
+        node = location.parent.children.get(location.name);
+        if (!node) throw fsError('ENOENT', 'rm', filePath);
+      } catch (err) {
+        if (force && (err.code === 'ENOENT' || err.code === 'ENOTDIR')) return;
+        throw err;
+      }
+      if (node.type === 'directory' && !recursive) throw fsError('EISDIR', 'rm', filePath);
+      location.parent.children.delete(location.name);
+    },
+
+    async access(filePath) {
+      lookup(filePath, 'access');
+    },
+
+    async symlink(target, linkPath) {
+      const { parent, name } = locate(linkPath, 'symlink');
+      if (parent.children.has(name)) throw fsError('EEXIST', 'symlink', linkPath);
+      parent.children.set(name, createNode('symlink', { target: String(target) }));
+    },
+
+    async readlink(filePath) {
+      const node = lookup(filePath, 'readlink', false);
+      if (node.type !== 'symlink') throw fsError('EINVAL', 'readlink', filePath);
+      return node.target;
+    },
+
+    async chmod(filePath, mode) {
+      lookup(filePath, 'chmod').mode = Number(mode) & 0o7777;
+    },
+
+    async chown(filePath, uid, gid) {
+      Object.assign(lookup(filePath, 'chown'), { uid, gid });
+    },
+
+    async lchown(filePath, uid, gid) {
+      Object.assign(lookup(filePath, 'lchown', false), { uid, gid });
+    },
+
+    async utimes(filePath, atime, mtime) {
+      Object.assign(lookup(filePath, 'utime'), { atime: toDate(atime), mtime: toDate(mtime) });
+    },
+
+    async lutimes(filePath, atime, mtime) {
+      Object.assign(lookup(filePath, 'lutime', false), { atime: toDate(atime), mtime: toDate(mtime) });
+    },
+
+    createReadStream(filePath) {
+      return Readable.from((async function* () {
+        yield await memoryFs.readFile(filePath);
+      })(), { objectMode: false });
+    },
+
+    createWriteStream(filePath) {
+      const chunks = [];
+      return new Writable({
+        write(chunk, encoding, callback) {
+          chunks.push(Buffer.from(chunk, encoding));
+          callback();
+        },
+        final(callback) {
+          memoryFs.writeFile(filePath, Buffer.concat(chunks)).then(() => callback(), callback);
+        }
+      });
+    }
+  };
+  return memoryFs;
+}
@@ -0,0 +1,31 @@
+/**
+ * Creates a limiter running at most `concurrency` asynchronous jobs at a time.
+ * Jobs start in the order they were submitted.
+ *
+ * @param {number} [concurrency=1] - Maximum number of jobs running at once.
+ * @returns {Function} - `limit(job)` runs `job()` when a slot is free and resolves to its result.
+ * @throws {RangeError} - When `concurrency` is not an integer of at least 1, as no job would ever start.
+ */
+export function createLimit(concurrency = 1) {
+  if (!Number.isInteger(concurrency) || concurrency < 1) throw new RangeError(`concurrency must be an integer of at least 1, got ${concurrency}`);
+  const queue = [];
+  let active = 0;
+
+  const next = () => {
+    if (active >= concurrency || queue.length === 0) return;
+    active++;
+    const { job, resolve, reject } = queue.shift();
+    Promise.resolve()
+      .then(job)
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  };
+
+  return job => new Promise((resolve, reject) => {
+    queue.push({ job, resolve, reject });
+    next();
+  });
+}
@@ -0,0 +1,206 @@
+import path from 'path';
+
+const SYMBOLS = {
+  copy: '→',
+  skip: '⠿',
+  overwrite: '↺',
+  rename: '⥅',
+  unchanged: '≡',
+  remove: '✗',
+  prune: '⌫'
+};
+
+const COLORS = {
+  copy: 32,
+  overwrite: 33,
+  rename: 36,
+  skip: 90,
+  unchanged: 90,
+  remove: 31,
+  prune: 31,
+  error: 31
+};
+
+const VERBOSE = {
+  copy: entry => `Copied: ${entry.src} -> ${entry.dest}`,
+  overwrite: entry => `Overwritten: ${entry.dest}`,
+  skip: entry => `Skipped: ${entry.dest}`,
+  unchanged: entry => `Unchanged: ${entry.dest}`,
+  rename: entry => `Renamed: ${entry.src} -> ${entry.dest}`,
+  remove: entry => `Removed: ${entry.dest}`,
+  prune: entry => `Deleted: ${entry.dest}`
+};
+
+const LABELS = {
+  copy: 'copied',
+  overwrite: 'overwritten',
+  skip: 'skipped',
+  unchanged: 'unchanged',
+  rename: 'renamed',
+  remove: 'removed',
+  prune: 'deleted'
+};
+
+/**
+ * Names of the operations reported by `file:*` events.
+ */
+export const OPERATIONS = Object.keys(SYMBOLS);
+
+/**
+ * Wraps text in an ANSI color code when colors are enabled.
+ *
+ * @param {string} text - Text to colorize.
+ * @param {string} kind - Operation name or `error`.
+ * @param {boolean} color - Whether colors are enabled.
+ * @returns {string}
+ */
+function paint(text, kind, color) {
+  if (!color || !COLORS[kind]) return text;
+  return `\x1b[${COLORS[kind]}m${text}\x1b[0m`;
+}
+
+/**
+ * Formats a byte count for humans.
+ *
+ * @param {number} bytes - Number of bytes.
+ * @returns {string}
+ */
+function formatBytes(bytes) {
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${unit === 0 ? value : value.toFixed(1)} ${units[unit]}`;
+}
+
+/**
+ * Formats file path for brief logging
+ * @param {string} filePath - Path to format
+ * @param {number} [maxLength=30] - Maximum length, 0 to never shorten
+ * @returns {string} - Formatted path
+ */
+export function formatPath(filePath, maxLength = 30) {
+  if (!maxLength || filePath.length <= maxLength) return filePath;
+  const parts = filePath.split(path.sep);
+  const fileName = parts.pop();
+  let shortenedPath = '...' + path.sep + fileName;
+  let i = parts.length - 1;
+  while (i >= 0 && shortenedPath.length < maxLength) {
+    shortenedPath = parts[i] + path.sep + shortenedPath;
+    i--;
+  }
+  return shortenedPath.length > maxLength ? '...' + shortenedPath.slice(-maxLength) : shortenedPath;
+}
+
+/**
+ * Logs operation in brief format
+ * @param {string} operation - Operation type
+ * @param {string} filePath - File path
+ * @param {string} [destPath] - Destination path for copy operations
+ * @param {Object} options - Output options, see {@link createReporter}
+ */
+export function logBrief(operation, filePath, destPath = null, { output, pathLength, color }) {
+  const symbol = paint(SYMBOLS[operation] || '•', operation, color);
+  const formattedSrc = formatPath(filePath, pathLength);
+  if (destPath) {
+    const formattedDest = formatPath(destPath, pathLength);
+    output.log(`${symbol} ${formattedSrc} → ${formattedDest}`);
+  } else {
+    output.log(`${symbol} ${formattedSrc}`);
+  }
+}
+
+/**
+ * Built-in reporters. Each one returns the event handlers it subscribes.
+ */
+const REPORTERS = {
+  none: () => ({}),
+
+  verbose: ({ output }) => Object.fromEntries(OPERATIONS.map(op => [`file:${op}`, entry => output.log(VERBOSE[op](entry))])),
+
+  brief: options => ({
+    'task:start': () => options.output.log(`\nStarting copy task...`),
+    'task:end': () => options.output.log('Copy task completed\n'),
+    ...Object.fromEntries(OPERATIONS.map(op => [`file:${op}`, entry => {
+      if (op === 'copy' || op === 'overwrite' || op === 'rename') logBrief(op, entry.src, entry.dest, options);
+      else logBrief(op, entry.src || entry.dest, null, options);
+    }]))
+  }),
+
+  ndjson: ({ output }) => {
+    const write = (event, payload) => output.log(JSON.stringify({ event, time: new Date().toISOString(), ...payload }));
+    return {
+      'task:start': payload => write('task:start', payload),
+      'task:end': payload => write('task:end', payload),
+      error: (error, info) => write('error', { ...info, code: error.code, message: error.message, src: error.src, dest: error.dest }),
+      ...Object.fromEntries(OPERATIONS.map(op => [`file:${op}`, entry => write(`file:${op}`, entry)]))
+    };
+  },
+
+  summary: ({ output, color }) => {
+    let counts = {};
+    let bytes = 0;
+    let errors = 0;
+    let start = 0;
+    return {
+      'task:start': () => {
+        counts = {};
+        bytes = 0;
+        errors = 0;
+        start = performance.now();
+      },
+      error: () => {
+        errors++;
+      },
+      ...Object.fromEntries(OPERATIONS.map(op => [`file:${op}`, entry => {
+        counts[op] = (counts[op] || 0) + 1;
+        bytes += entry.bytes;
+      }])),
+      'task:end': ({ name }) => {
+        const files = Object.values(counts).reduce((sum, count) => sum + count, 0);
+        const details = OPERATIONS.filter(op => counts[op]).map(op => `${counts[op]} ${LABELS[op]}`);
+        if (errors > 0) details.push(paint(`${errors} error(s)`, 'error', color));
+        const elapsed = Math.round(performance.now() - start);
+        const label = name ? `${name}: ` : '';
+        output.log(`${label}${files} file(s), ${formatBytes(bytes)} in ${elapsed} ms${details.length ? ` (${details.join(', ')})` : ''}`);
+      }
+    };
+  }
+};
+
+/**
+ * Names of the built-in reporters.
+ */
+export const REPORTER_NAMES = Object.keys(REPORTERS);
+
+/**
+ * Creates the event handlers of a built-in reporter.
+ *
+ * @param {string} name - Reporter name: `none`, `verbose`, `brief`, `ndjson` or `summary`.
+ * @param {Object} options - Output options.
+ * @param {{log: Function, error: Function}} options.output - Console-like object receiving the output.
+ * @param {number} options.pathLength - Maximum length of paths in brief output, 0 to never shorten.
+ * @param {boolean} options.color - Whether to colorize the output.
+ * @returns {Object<string, Function>} - Handlers keyed by event name.
+ */
+export function createReporter(name, options) {
+  const reporter = REPORTERS[name];
+  if (!reporter) throw new Error(`Unknown log level: ${name}`);
+  return reporter(options);
+}
+
+/**
+ * Formats an error event for console output.
+ *
+ * @param {Error} error - Reported error.
+ * @param {Object} info - Error event details.
+ * @param {string} info.operation - Operation that failed, e.g. `copying`.
+ * @param {boolean} color - Whether to colorize the output.
+ * @returns {string[]} - Arguments for `console.error`.
+ */
+export function formatError(error, { operation }, color) {
+  return [paint(`Error ${operation} ${error.src || error.dest}:`, 'error', color), error.message];
+}
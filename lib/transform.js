@@ -0,0 +1,88 @@
+import path from 'path';
+import { pipeline } from 'stream/promises';
+import { localFs } from './fs.js';
+import { createMatcher } from './glob.js';
+
+/**
+ * Picks the value of the first pattern matching a file from a `{ glob: value }` map.
+ *
+ * @param {Object<string, *>} map - Values keyed by glob pattern.
+ * @returns {Function} - `(relativePath, sourcePath, stats) => value|null`
+ */
+function createLookup(map) {
+  const entries = Object.entries(map).map(([pattern, value]) => [createMatcher(pattern), value]);
+  return (relativePath, sourcePath, stats) => {
+    const found = entries.find(([matches]) => matches(relativePath, sourcePath, stats));
+    return found ? found[1] : null;
+  };
+}
+
+/**
+ * Fills a rename template: `{name}` is the file name without extension, `{ext}` the extension
+ * with its dot and `{base}` the whole file name.
+ *
+ * @param {string} template - Template such as `'{name}.txt'`.
+ * @param {string} fileName - Current destination file name.
+ * @returns {string}
+ */
+function fillTemplate(template, fileName) {
+  const { name, ext } = path.parse(fileName);
+  const values = { name, ext, base: fileName };
+  return template.replace(/\{(name|ext|base)\}/g, (match, key) => values[key]);
+}
+
+/**
+ * Builds the `rename` function of a task.
+ *
+ * @param {Function|Object<string, string|Function>} [rename] - Function `(fileName, file) => fileName`,
+ *   or map of globs to templates or functions; the first matching glob wins.
+ * @returns {Function|null} - `(fileName, {src, relative, stats}) => fileName`, or `null` without `rename`.
+ */
+export function createRenamer(rename) {
+  if (rename === undefined || rename === null) return null;
+  if (typeof rename === 'function') return (fileName, file) => rename(fileName, file) || fileName;
+  const lookup = createLookup(rename);
+  return (fileName, file) => {
+    const target = lookup(file.relative, file.src, file.stats);
+    if (!target) return fileName;
+    return typeof target === 'function' ? target(fileName, file) || fileName : fillTemplate(target, fileName);
+  };
+}
+
+/**
+ * Builds the function selecting the content transform of each file.
+ *
+ * @param {Function|Object<string, Function>} [transform] - Transform applied to every file,
+ *   or map of globs to transforms; the first matching glob wins.
+ * @returns {Function|null} - `(relativePath, sourcePath, stats) => transform|null`, or `null` without `transform`.
+ */
+export function createTransformer(transform) {
+  if (transform === undefined || transform === null) return null;
+  if (typeof transform === 'function') return () => transform;
+  return createLookup(transform);
+}
+
+/**
+ * Writes a file through a content transform. The transform receives the source contents, as a buffer
+ * or as a readable stream with `streams`, and returns the new contents as a buffer, a string or a
+ * readable stream. Returning `undefined` keeps the contents unchanged.
+ *
+ * @param {string} source - Path to the source file.
+ * @param {string} destPath - Path to the destination file.
+ * @param {Function} transform - `(contents, file) => contents`
+ * @param {Object} file - Metadata passed to the transform: `src`, `dest`, `relative` and `stats`.
+ * @param {boolean} [streams=false] - Whether to pass a readable stream instead of a buffer.
+ * @param {Object} [fs=localFs] - Filesystem of the source and destination files.
+ * @param {AbortSignal} [signal] - Signal interrupting the write of streamed contents.
+ * @returns {Promise<number>} - Number of bytes written.
+ */
+export async function transformFile(source, destPath, transform, file, streams = false, fs = localFs, signal) {
+  const input = streams ? fs.createReadStream(source) : await fs.readFile(source);
+  const output = (await transform(input, file)) ?? input;
+  if (typeof output === 'string' || output instanceof Uint8Array) {
+    await fs.writeFile(destPath, output);
+  } else {
+    await pipeline(output, fs.createWriteStream(destPath), { signal });
+  }
+  return (await fs.stat(destPath)).size;
+}
@@ -0,0 +1,243 @@
+import path from 'path';
+import { localFs, missingMethods } from './fs.js';
+import { globBase, globToRegExp, isGlob, isNegated, toPosix } from './glob.js';
+import { REPORTER_NAMES } from './reporters.js';
+
+/**
+ * Describes a value in error messages.
+ *
+ * @param {*} value - Value to describe.
+ * @returns {string}
+ */
+function show(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'an array';
+  if (typeof value === 'string') return `'${value}'`;
+  if (typeof value === 'function') return 'a function';
+  if (typeof value === 'object') return 'an object';
+  return String(value);
+}
+
+const isPlainObject = value => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+/**
+ * Option checkers. Each returns an error message, or `null` when the value is valid.
+ */
+const check = {
+  string: value => typeof value === 'string' ? null : `must be a string, got ${show(value)}`,
+  boolean: value => typeof value === 'boolean' ? null : `must be a boolean, got ${show(value)}`,
+  count: value => Number.isInteger(value) && value >= 0 ? null : `must be a non-negative integer, got ${show(value)}`,
+  oneOf: (...allowed) => value => allowed.includes(value)
+    ? null
+    : `must be one of ${allowed.map(item => `'${item}'`).join(', ')}, got ${show(value)}${suggest(value, allowed)}`,
+  patterns: value => [].concat(value).every(item => typeof item === 'string' || typeof item === 'function')
+    ? null
+    : `must be a glob, a function or an array of them, got ${show(value)}`,
+  sources: value => {
+    const list = [].concat(value);
+    if (list.length === 0) return 'must not be empty';
+    return list.every(item => typeof item === 'string' && item !== '') ? null : `must be a path or an array of paths, got ${show(value)}`;
+  },
+  adapter: value => {
+    if (typeof value !== 'object' || value === null) return `must be a filesystem adapter, got ${show(value)}`;
+    const missing = missingMethods(value);
+    return missing.length === 0 ? null : `must be a filesystem adapter, missing ${missing.join(', ')}`;
+  },
+  map: (...types) => value => {
+    if (typeof value === 'function') return null;
+    if (isPlainObject(value) && Object.values(value).every(item => types.includes(typeof item))) return null;
+    return `must be a function or an object mapping globs to ${types.map(type => `${type}s`).join(' or ')}, got ${show(value)}`;
+  }
+};
+
+/**
+ * Task options and their checkers.
+ */
+const SCHEMA = {
+  name: check.string,
+  src: check.sources,
+  dest: check.string,
+  depth: check.count,
+  height: check.count,
+  flatten: value => typeof value === 'boolean' || typeof value === 'function' || value === 'prefix' || (Number.isInteger(value) && value >= 0)
+    ? null
+    : `must be a boolean, a non-negative integer, 'prefix' or a function, got ${show(value)}${suggest(value, ['prefix'])}`,
+  flattenSeparator: check.string,
+  conflictResolution: check.oneOf('overwrite', 'skip', 'rename', 'update', 'backup'),
+  renamePattern: value => typeof value === 'function' || (typeof value === 'string' && value !== '')
+    ? null
+    : `must be a template or a function, got ${show(value)}`,
+  backupDir: check.string,
+  backupSuffix: value => typeof value === 'string' && value !== '' ? null : `must be a non-empty string, got ${show(value)}`,
+  logLevel: check.oneOf(...REPORTER_NAMES),
+  compare: check.oneOf('mtime', 'size', 'hash'),
+  manifest: check.string,
+  journal: check.string,
+  resume: check.boolean,
+  mirror: check.boolean,
+  protect: check.patterns,
+  failFast: check.boolean,
+  strict: check.boolean,
+  dryRun: check.boolean,
+  include: check.patterns,
+  exclude: check.patterns,
+  rename: check.map('string', 'function'),
+  transform: check.map('function'),
+  transformStreams: check.boolean,
+  symlinks: check.oneOf('follow', 'preserve', 'skip'),
+  preserve: value => {
+    const invalid = [].concat(value).find(item => !['mode', 'timestamps', 'ownership'].includes(item));
+    return invalid === undefined ? null : check.oneOf('mode', 'timestamps', 'ownership')(invalid);
+  },
+  atomic: check.boolean,
+  transaction: check.boolean,
+  extract: check.boolean,
+  fs: check.adapter,
+  srcFs: check.adapter,
+  destFs: check.adapter
+};
+
+/**
+ * Names of the options a task accepts.
+ */
+export const TASK_OPTIONS = Object.keys(SCHEMA);
+
+/**
+ * Computes the Levenshtein edit distance between two strings.
+ *
+ * @param {string} a - First string.
+ * @param {string} b - Second string.
+ * @returns {number}
+ */
+function distance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Returns a "did you mean" hint for a misspelled value.
+ *
+ * @param {*} value - Given value.
+ * @param {string[]} candidates - Valid values.
+ * @returns {string} - Hint starting with a comma, or an empty string without close candidates.
+ */
+function suggest(value, candidates) {
+  if (typeof value !== 'string') return '';
+  const scored = candidates
+    .map(candidate => ({ candidate, score: distance(value.toLowerCase(), candidate.toLowerCase()) }))
+    .sort((a, b) => a.score - b.score);
+  const best = scored[0];
+  if (!best || best.score > Math.max(2, Math.floor(best.candidate.length / 3))) return '';
+  return `, did you mean '${best.candidate}'?`;
+}
+
+/**
+ * Checks whether a path is inside another one.
+ *
+ * @param {string} child - Path that may be inside `parent`.
+ * @param {string} parent - Containing path.
+ * @returns {boolean}
+ */
+function isInside(child, parent) {
+  const resolved = path.resolve(child);
+  const base = path.resolve(parent);
+  return resolved === base || resolved.startsWith(base + path.sep);
+}
+
+/**
+ * Checks whether a glob pattern matches the destination or one of its parent folders.
+ *
+ * @param {string} pattern - Glob pattern.
+ * @param {string} dest - Destination path.
+ * @returns {boolean}
+ */
+function matchesAncestor(pattern, dest) {
+  const absolute = toPosix(path.resolve(pattern));
+  const base = path.resolve(globBase(absolute));
+  const re = globToRegExp(absolute);
+  for (let dir = path.resolve(dest); isInside(dir, base) && dir !== base; dir = path.dirname(dir)) {
+    if (re.test(toPosix(dir))) return true;
+  }
+  return false;
+}
+
+/**
+ * Checks a copy configuration before any file is copied: unknown options, wrong types,
+ * missing `src`/`dest`, destinations inside their own sources and sources that do not exist.
+ * Missing sources are warnings, as other sources of the task can still be copied.
+ *
+ * @param {Object[]} cfg - Array of copy configurations, see {@link copy}.
+ * @param {Object} [options] - Run options, see {@link copy}; their `fs` adapter is checked and used to find sources,
+ *   their `concurrency` must be an integer of at least 1 and their `signal` an `AbortSignal`.
+ * @returns {Promise<{valid: boolean, errors: Object[], warnings: Object[]}>} - Issues carrying `task`, `key` and `message`.
+ */
+export async function validate(cfg, options = {}) {
+  const errors = [];
+  const warnings = [];
+  const runFs = options.fs === undefined || options.fs === null ? null : options.fs;
+  const runFsError = runFs && check.adapter(runFs);
+  if (runFsError) errors.push({ task: null, key: 'fs', message: `options.fs: ${runFsError}` });
+  if (options.concurrency !== undefined && !(Number.isInteger(options.concurrency) && options.concurrency >= 1)) {
+    errors.push({ task: null, key: 'concurrency', message: `options.concurrency: must be an integer of at least 1, got ${show(options.concurrency)}` });
+  }
+  if (options.signal !== undefined && !(options.signal instanceof AbortSignal)) {
+    errors.push({ task: null, key: 'signal', message: `options.signal: must be an AbortSignal, got ${show(options.signal)}` });
+  }
+  if (!Array.isArray(cfg)) {
+    errors.push({ task: null, key: null, message: `Configuration must be an array of tasks, got ${show(cfg)}` });
+    return { valid: false, errors, warnings };
+  }
+
+  for (const [index, item] of cfg.entries()) {
+    const issue = (key, message) => ({ task: index, key, message: `cfg[${index}]${key ? `.${key}` : ''}: ${message}` });
+    if (!isPlainObject(item)) {
+      errors.push(issue(null, `task must be an object, got ${show(item)}`));
+      continue;
+    }
+
+    for (const [key, value] of Object.entries(item)) {
+      if (!SCHEMA[key]) {
+        errors.push(issue(key, `unknown option${suggest(key, TASK_OPTIONS)}`));
+        continue;
+      }
+      if (value === undefined || value === null) continue;
+      const message = SCHEMA[key](value);
+      if (message) errors.push(issue(key, message));
+    }
+    for (const key of ['src', 'dest']) {
+      if (item[key] === undefined || item[key] === null) errors.push(issue(key, 'is required'));
+    }
+    if (item.resume && !item.journal) errors.push(issue('resume', 'needs a journal file to resume from'));
+    if (check.sources(item.src ?? []) || check.string(item.dest)) continue;
+
+    const srcFs = [item.srcFs, item.fs, runFsError ? null : runFs].find(adapter => adapter && !check.adapter(adapter)) || localFs;
+    const destFs = [item.destFs, item.fs, runFsError ? null : runFs].find(adapter => adapter && !check.adapter(adapter)) || localFs;
+    if (typeof destFs.rename !== 'function') {
+      const needsRename = ['atomic', 'transaction'].filter(key => item[key]);
+      if (item.conflictResolution === 'backup') needsRename.push('conflictResolution');
+      for (const key of needsRename) errors.push(issue(key, 'needs a destination filesystem adapter implementing rename'));
+    }
+    for (const source of [].concat(item.src)) {
+      if (isNegated(source)) continue;
+      const stats = await srcFs.stat(source).catch(() => null);
+      if (isGlob(source) && !stats) {
+        if (matchesAncestor(source, item.dest)) errors.push(issue('dest', `'${item.dest}' is inside a folder matched by '${source}', which would copy it into itself`));
+        continue;
+      }
+      if (!stats) {
+        warnings.push(issue('src', `'${source}' does not exist`));
+      } else if (stats.isDirectory() && isInside(item.dest, source)) {
+        errors.push(issue('dest', `'${item.dest}' is inside its source '${source}', which would copy it into itself`));
+      }
+    }
+  }
+
+  return { valid: errors.length === 0, errors, warnings };
+}
@@ -1,10 +1,13 @@
 import { expect } from 'chai';
+import { EventEmitter } from 'events';
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
 import sinon from 'sinon';
-import copy from '../index.js';
+import { Readable, Transform } from 'stream';
+import copy, { AbortError, CopyError, createMemoryFs, plan, validate, ValidationError, watch } from '../index.js';
+import { run } from '../lib/cli.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -60,6 +63,8 @@ async function createTestStructure() {
   await createFiles(srcPath, structure);
 }
 
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
 async function clearDist() {
   await fs.rm(distPath, { recursive: true, force: true });
   await fs.mkdir(distPath, { recursive: true });
@@ -155,6 +160,82 @@ describe('Copy Script Tests', () => {
       const content = await fs.readFile(path.join(distPath, 'file1.txt'), 'utf8');
       expect(content).to.equal('File 1 content');
     });
+
+    it('should only copy changed files when conflictResolution = "update"', async () => {
+      const task = {
+        src: path.join(srcPath, 'file1.txt'),
+        dest: distPath,
+        conflictResolution: 'update',
+        logLevel: 'brief'
+      };
+      await copy([task]);
+      consoleLogStub.resetHistory();
+      await copy([task]);
+
+      const logs = consoleLogStub.args.map(args => args[0]).join('\n');
+      expect(logs).to.include('≡');
+
+      await fs.writeFile(path.join(distPath, 'file1.txt'), 'Stale');
+      await copy([task]);
+      const content = await fs.readFile(path.join(distPath, 'file1.txt'), 'utf8');
+      expect(content).to.equal('File 1 content');
+    });
+
+    it('should compare content hashes and cache them in a manifest', async () => {
+      const manifest = path.join(distPath, '.manifest.json');
+      const task = {
+        src: path.join(srcPath, 'file1.txt'),
+        dest: path.join(distPath, 'out'),
+        conflictResolution: 'update',
+        compare: 'hash',
+        manifest
+      };
+      await copy([task]);
+
+      // Same size and a newer mtime, but different content
+      await fs.writeFile(path.join(distPath, 'out', 'file1.txt'), 'File X content');
+      await copy([task]);
+
+      const content = await fs.readFile(path.join(distPath, 'out', 'file1.txt'), 'utf8');
+      expect(content).to.equal('File 1 content');
+      const data = JSON.parse(await fs.readFile(manifest, 'utf8'));
+      expect(data.files).to.have.property(path.join(srcPath, 'file1.txt'));
+    });
+
+    it('should name renamed copies with renamePattern templates and functions', async () => {
+      const file1 = path.join(srcPath, 'file1.txt');
+      await fs.writeFile(path.join(distPath, 'file1.txt'), 'Existing');
+      await fs.writeFile(path.join(distPath, 'file1-2.txt'), 'Existing');
+
+      const report = await copy([
+        { src: [file1, file1, file1], dest: distPath, conflictResolution: 'rename', renamePattern: '{name}-{n}{ext}' },
+        { src: [file1, file1], dest: distPath, conflictResolution: 'rename', renamePattern: '{name}.{hash8}{ext}' },
+        { src: file1, dest: distPath, conflictResolution: 'rename', renamePattern: ({ name, ext, n }) => `${name}.copy${n}${ext}` }
+      ]);
+
+      const hash8 = path.basename(report.files[3].dest).split('.')[1];
+      expect(hash8).to.match(/^[0-9a-f]{8}$/);
+      expect(report.files.map(entry => path.basename(entry.dest))).to.deep.equal([
+        'file1-1.txt', 'file1-3.txt', 'file1-4.txt', `file1.${hash8}.txt`, `file1.${hash8}_1.txt`, 'file1.copy1.txt'
+      ]);
+    });
+
+    it('should move replaced files aside when conflictResolution = "backup"', async () => {
+      await fs.writeFile(path.join(distPath, 'file1.txt'), 'Old 1');
+      await fs.mkdir(path.join(distPath, 'folder1'));
+      await fs.writeFile(path.join(distPath, 'folder1', 'file3.txt'), 'Old 3');
+
+      const report = await copy([
+        { src: path.join(srcPath, 'file1.txt'), dest: distPath, conflictResolution: 'backup' },
+        { src: path.join(srcPath, 'folder1'), dest: distPath, conflictResolution: 'backup', backupDir: path.join(distPath, 'backups') }
+      ]);
+
+      expect(await fs.readFile(path.join(distPath, 'file1.txt'), 'utf8')).to.equal('File 1 content');
+      expect(await fs.readFile(path.join(distPath, 'file1.txt~'), 'utf8')).to.equal('Old 1');
+      expect(await fs.readFile(path.join(distPath, 'folder1', 'file3.txt'), 'utf8')).to.equal('File 3 content');
+      expect(await fs.readFile(path.join(distPath, 'backups', 'folder1', 'file3.txt'), 'utf8')).to.equal('Old 3');
+      expect(report.files[0].backup).to.equal(path.join(distPath, 'file1.txt~'));
+    });
   });
 
   describe('Logging Tests', () => {
@@ -193,6 +274,66 @@ describe('Copy Script Tests', () => {
     });
   });
 
+  describe('Logger Tests', () => {
+    const createLogger = () => ({ log: sinon.spy(), error: sinon.spy() });
+
+    it('should write to a custom logger object instead of the console', async () => {
+      const logger = createLogger();
+
+      await copy([
+        { src: path.join(srcPath, 'file1.txt'), dest: distPath, logLevel: 'brief' },
+        { src: path.join(srcPath, 'nonexistent.txt'), dest: distPath }
+      ], { logger });
+
+      expect(consoleLogStub.called).to.be.false;
+      expect(consoleErrorStub.called).to.be.false;
+      expect(logger.log.args.map(args => args[0]).join('\n')).to.include('→');
+      expect(logger.error.firstCall.args[0]).to.include('Error copying');
+    });
+
+    it('should report events as NDJSON lines', async () => {
+      const logger = createLogger();
+
+      await copy([{ src: path.join(srcPath, 'file1.txt'), dest: distPath, logLevel: 'ndjson' }], { logger });
+
+      const lines = logger.log.args.map(args => JSON.parse(args[0]));
+      expect(lines.map(line => line.event)).to.deep.equal(['task:start', 'file:copy', 'task:end']);
+      expect(lines[1]).to.include({ dest: path.join(distPath, 'file1.txt'), bytes: 14 });
+    });
+
+    it('should only print a summary with the summary reporter', async () => {
+      const logger = createLogger();
+
+      await copy([{
+        name: 'text',
+        src: [path.join(srcPath, 'file1.txt'), path.join(srcPath, 'file2.txt')],
+        dest: distPath,
+        logLevel: 'summary'
+      }], { logger });
+
+      expect(logger.log.callCount).to.equal(1);
+      expect(logger.log.firstCall.args[0]).to.match(/^text: 2 file\(s\), 28 B in \d+ ms \(2 copied\)$/);
+    });
+
+    it('should call a logger function with every event', async () => {
+      const logger = sinon.spy();
+
+      await copy([{ src: path.join(srcPath, 'file1.txt'), dest: distPath }], { logger });
+
+      expect(logger.args.map(args => args[0])).to.deep.equal(['task:start', 'file:copy', 'task:end']);
+    });
+
+    it('should shorten paths to the configured length and colorize when asked', async () => {
+      const logger = createLogger();
+
+      await copy([{ src: path.join(srcPath, 'file1.txt'), dest: distPath, logLevel: 'brief' }], { logger, pathLength: 0, color: true });
+
+      const line = logger.log.args.map(args => args[0]).find(message => message.includes('file1.txt'));
+      expect(line).to.include(path.join(srcPath, 'file1.txt'));
+      expect(line).to.include('\x1b[32m→\x1b[0m');
+    });
+  });
+
   describe('Error Handling Tests', () => {
     it('should handle non-existent source path', async () => {
       await copy([{
@@ -217,6 +358,302 @@ describe('Copy Script Tests', () => {
       expect(consoleErrorStub.called).to.be.true;
       expect(consoleErrorStub.firstCall.args[0]).to.include('Error copying');
     });
+
+    it('should record unreadable glob folders and run the next tasks', async () => {
+      const memoryFs = createMemoryFs({ files: { '/in/a.txt': 'A', '/other/b.txt': 'B' } });
+      const srcFs = {
+        ...memoryFs,
+        readdir: async (dir, options) => {
+          if (path.resolve(dir) === path.resolve('/in')) throw Object.assign(new Error('EACCES: permission denied'), { code: 'EACCES' });
+          return memoryFs.readdir(dir, options);
+        }
+      };
+
+      const report = await copy([
+        { src: '/in/*.txt', dest: '/out', srcFs, destFs: memoryFs },
+        { src: '/other/b.txt', dest: '/out', fs: memoryFs }
+      ]);
+
+      expect(report.errors.map(err => [err.code, err.src])).to.deep.equal([['EACCES', '/in/*.txt']]);
+      expect(report.files.map(entry => entry.src)).to.deep.equal([path.resolve('/other/b.txt')]);
+      expect(await memoryFs.readFile('/out/b.txt', 'utf8')).to.equal('B');
+    });
+
+    it('should record unreadable manifests and reject only with failFast', async () => {
+      await fs.mkdir(path.join(distPath, 'manifest.json'));
+      const tasks = [
+        { src: path.join(srcPath, 'file1.txt'), dest: path.join(distPath, 'a'), manifest: path.join(distPath, 'manifest.json') },
+        { src: path.join(srcPath, 'file2.txt'), dest: path.join(distPath, 'b') }
+      ];
+
+      const report = await copy(tasks);
+      const error = await copy([{ ...tasks[0], failFast: true }, tasks[1]]).catch(err => err);
+
+      expect(report.errors.map(err => err.code)).to.deep.equal(['EISDIR']);
+      expect(await fs.readdir(path.join(distPath, 'b'))).to.deep.equal(['file2.txt']);
+      expect(error.code).to.equal('EISDIR');
+      expect(await fs.access(path.join(distPath, 'a')).then(() => true, () => false)).to.be.false;
+    });
+  });
+
+  describe('Report Tests', () => {
+    it('should resolve with a report of every file operation', async () => {
+      await fs.writeFile(path.join(distPath, 'file2.txt'), 'Existing');
+
+      const report = await copy([{
+        src: [path.join(srcPath, 'file1.txt'), path.join(srcPath, 'file2.txt')],
+        dest: distPath
+      }]);
+
+      expect(report.errors).to.be.empty;
+      expect(report.files.map(entry => entry.action)).to.deep.equal(['copied', 'overwritten']);
+      expect(report.files[0]).to.include({
+        src: path.join(srcPath, 'file1.txt'),
+        dest: path.join(distPath, 'file1.txt'),
+        bytes: 14
+      });
+      expect(report.files[0].duration).to.be.a('number');
+      expect(report.bytes).to.equal(28);
+    });
+
+    it('should collect typed errors', async () => {
+      const report = await copy([{
+        src: path.join(srcPath, 'nonexistent.txt'),
+        dest: distPath
+      }]);
+
+      expect(report.errors).to.have.lengthOf(1);
+      expect(report.errors[0]).to.be.instanceOf(CopyError);
+      expect(report.errors[0]).to.include({ code: 'ENOENT', src: path.join(srcPath, 'nonexistent.txt') });
+    });
+
+    it('should reject, or call done with the error, when failFast is set', async () => {
+      const tasks = [
+        { src: path.join(srcPath, 'nonexistent.txt'), dest: distPath, failFast: true },
+        { src: path.join(srcPath, 'file1.txt'), dest: distPath }
+      ];
+      let error;
+      try {
+        await copy(tasks);
+      } catch (err) {
+        error = err;
+      }
+      const done = sinon.spy();
+      const report = await copy(tasks, done);
+
+      expect(error).to.be.instanceOf(CopyError);
+      expect(error.code).to.equal('ENOENT');
+      expect(done.calledOnce).to.be.true;
+      expect(done.firstCall.args[0]).to.include({ code: 'ENOENT' });
+      expect(done.firstCall.args[1]).to.equal(report);
+      const files = await fs.readdir(distPath);
+      expect(files).to.be.empty;
+    });
+
+    it('should reject after all tasks ran when strict is set', async () => {
+      let error;
+      try {
+        await copy([
+          { src: path.join(srcPath, 'nonexistent.txt'), dest: distPath, strict: true },
+          { src: path.join(srcPath, 'file1.txt'), dest: distPath }
+        ]);
+      } catch (err) {
+        error = err;
+      }
+
+      expect(error).to.be.instanceOf(CopyError);
+      expect(error.report.errors).to.have.lengthOf(1);
+      const files = await fs.readdir(distPath);
+      expect(files).to.include('file1.txt');
+    });
+  });
+
+  describe('Concurrency Tests', () => {
+    it('should log and report in the same order as a sequential copy', async () => {
+      const task = { src: srcPath, dest: path.join(distPath, 'out'), logLevel: 'verbose' };
+      const sequential = await copy([task]);
+      const sequentialLogs = consoleLogStub.args.map(args => args[0]);
+
+      await clearDist();
+      consoleLogStub.resetHistory();
+      const parallel = await copy([task], { concurrency: 4 });
+      const parallelLogs = consoleLogStub.args.map(args => args[0]);
+
+      expect(parallelLogs).to.deep.equal(sequentialLogs);
+      expect(parallel.files.map(entry => entry.dest)).to.deep.equal(sequential.files.map(entry => entry.dest));
+    });
+
+    it('should not hand the same unique name to concurrent copies', async () => {
+      await fs.writeFile(path.join(distPath, 'file1.txt'), 'Existing');
+
+      const report = await copy([{
+        src: [path.join(srcPath, 'file1.txt'), path.join(srcPath, 'file1.txt'), path.join(srcPath, 'file1.txt')],
+        dest: distPath,
+        conflictResolution: 'rename'
+      }], { concurrency: 3 });
+
+      expect(report.files.map(entry => path.basename(entry.dest))).to.deep.equal(['file1_1.txt', 'file1_2.txt', 'file1_3.txt']);
+      const files = await fs.readdir(distPath);
+      expect(files).to.have.members(['file1.txt', 'file1_1.txt', 'file1_2.txt', 'file1_3.txt']);
+    });
+
+    it('should run independent tasks in parallel and keep their order', async () => {
+      const report = await copy([
+        { src: path.join(srcPath, 'folder1'), dest: path.join(distPath, 'a') },
+        { src: path.join(srcPath, 'folder3'), dest: path.join(distPath, 'b') },
+        { src: path.join(srcPath, 'file1.txt'), dest: path.join(distPath, 'a', 'folder1') }
+      ], { concurrency: 4 });
+
+      expect(report.files.map(entry => path.relative(distPath, entry.dest))).to.deep.equal([
+        path.join('a', 'folder1', 'file3.txt'),
+        path.join('a', 'folder1', 'folder2', 'file4.txt'),
+        path.join('b', 'folder3', 'file5.txt'),
+        path.join('a', 'folder1', 'file1.txt')
+      ]);
+    });
+
+    it('should compare files for updates in parallel', async () => {
+      const memoryFs = createMemoryFs({ files: { '/src/a.txt': 'A', '/src/b.txt': 'B', '/out/src/a.txt': 'A', '/out/src/b.txt': 'B' } });
+      let active = 0;
+      let maxActive = 0;
+      const slowFs = {
+        ...memoryFs,
+        createReadStream: filePath => Readable.from((async function* () {
+          maxActive = Math.max(maxActive, ++active);
+          await wait(20);
+          yield await memoryFs.readFile(filePath);
+          active--;
+        })())
+      };
+
+      const report = await copy([{ src: '/src', dest: '/out', conflictResolution: 'update', compare: 'hash' }], { fs: slowFs, concurrency: 2 });
+
+      expect(report.files.map(entry => entry.action)).to.deep.equal(['unchanged', 'unchanged']);
+      expect(maxActive).to.equal(2);
+    });
+
+    it('should reject concurrency values that would never start a copy', async () => {
+      const task = { src: path.join(srcPath, 'file1.txt'), dest: distPath };
+      const errors = [];
+      for (const concurrency of [0, NaN, 1.5]) {
+        await copy([task], { concurrency }).catch(err => errors.push(err));
+      }
+
+      expect(errors).to.have.lengthOf(3);
+      errors.forEach(err => expect(err).to.be.instanceOf(ValidationError));
+      expect(errors[0].issues.map(issue => issue.key)).to.deep.equal(['concurrency']);
+      const files = await fs.readdir(distPath);
+      expect(files).to.be.empty;
+    });
+
+    it('should wait for the tasks writing the sources of a task', async () => {
+      const report = await copy([
+        { src: path.join(srcPath, 'folder1'), dest: path.join(distPath, 'build') },
+        { src: path.join(distPath, 'build', 'folder1', '**', '*.txt'), dest: path.join(distPath, 'out'), flatten: true }
+      ], { concurrency: 4 });
+
+      expect(report.errors).to.be.empty;
+      const files = await fs.readdir(path.join(distPath, 'out'));
+      expect(files).to.have.members(['file3.txt', 'file4.txt']);
+    });
+  });
+
+  describe('Event Tests', () => {
+    it('should emit task and file events with running totals', async () => {
+      const emitter = new EventEmitter();
+      const events = [];
+      for (const name of ['task:start', 'file:copy', 'file:overwrite', 'task:end']) {
+        emitter.on(name, payload => events.push([name, payload]));
+      }
+      await fs.writeFile(path.join(distPath, 'file2.txt'), 'Existing');
+
+      await copy([{
+        name: 'text',
+        src: [path.join(srcPath, 'file1.txt'), path.join(srcPath, 'file2.txt')],
+        dest: distPath
+      }], { emitter });
+
+      expect(events.map(([name]) => name)).to.deep.equal(['task:start', 'file:copy', 'file:overwrite', 'task:end']);
+      expect(events[0][1]).to.include({ task: 0, name: 'text' });
+      expect(events[2][1]).to.include({ src: path.join(srcPath, 'file2.txt'), bytes: 14 });
+      expect(events[2][1].totals).to.include({ files: 2, bytes: 28 });
+      expect(emitter.listenerCount('file:copy')).to.equal(1);
+    });
+
+    it('should emit error events', async () => {
+      const emitter = new EventEmitter();
+      const errors = [];
+      emitter.on('error', error => errors.push(error));
+
+      await copy([{ src: path.join(srcPath, 'nonexistent.txt'), dest: distPath }], { emitter });
+
+      expect(errors).to.have.lengthOf(1);
+      expect(errors[0]).to.be.instanceOf(CopyError);
+    });
+
+    it('should report progress against pre-scanned totals', async () => {
+      const onFile = sinon.spy();
+      const progress = [];
+
+      await copy([{ src: path.join(srcPath, 'folder1'), dest: distPath }], {
+        scan: true,
+        onFile,
+        onProgress: event => progress.push(event)
+      });
+
+      expect(onFile.callCount).to.equal(2);
+      expect(progress.map(event => event.percent)).to.deep.equal([50, 100]);
+      expect(progress[1]).to.include({ files: 2, totalFiles: 2, bytes: 28, totalBytes: 28 });
+    });
+  });
+
+  describe('Dry Run Tests', () => {
+    it('should plan operations without touching the disk', async () => {
+      const report = await plan([{
+        src: path.join(srcPath, 'folder1'),
+        dest: path.join(distPath, 'out')
+      }]);
+
+      expect(report.files.map(entry => entry.action)).to.deep.equal(['copied', 'copied']);
+      expect(report.files.map(entry => entry.dest)).to.have.members([
+        path.join(distPath, 'out', 'folder1', 'file3.txt'),
+        path.join(distPath, 'out', 'folder1', 'folder2', 'file4.txt')
+      ]);
+      const files = await fs.readdir(distPath);
+      expect(files).to.be.empty;
+    });
+
+    it('should pick the names getUniqueFileName would use', async () => {
+      await fs.writeFile(path.join(distPath, 'file1.txt'), 'Existing');
+
+      const report = await copy([{
+        src: [path.join(srcPath, 'file1.txt'), path.join(srcPath, 'file1.txt')],
+        dest: distPath,
+        conflictResolution: 'rename',
+        dryRun: true
+      }]);
+
+      expect(report.files.map(entry => path.basename(entry.dest))).to.deep.equal(['file1_1.txt', 'file1_2.txt']);
+      const files = await fs.readdir(distPath);
+      expect(files).to.deep.equal(['file1.txt']);
+    });
+
+    it('should warn about flatten collisions', async () => {
+      await fs.mkdir(path.join(distPath, 'a'));
+      await fs.mkdir(path.join(distPath, 'b'));
+      await fs.writeFile(path.join(distPath, 'a', 'index.js'), 'a');
+      await fs.writeFile(path.join(distPath, 'b', 'index.js'), 'b');
+
+      const report = await plan([{
+        src: [path.join(distPath, 'a'), path.join(distPath, 'b')],
+        dest: path.join(distPath, 'out'),
+        flatten: true
+      }]);
+
+      expect(report.warnings).to.have.lengthOf(1);
+      expect(report.warnings[0]).to.include({ code: 'ECOLLISION', dest: path.join(distPath, 'out', 'index.js') });
+      expect(report.files.map(entry => entry.action)).to.deep.equal(['copied', 'overwritten']);
+    });
   });
 
   describe('Feature Tests', () => {
@@ -249,4 +686,813 @@ describe('Copy Script Tests', () => {
     });
 
   });
-});
\ No newline at end of file
+
+  describe('Flatten Tests', () => {
+    it('should prefix file names with their folders', async () => {
+      await copy([{ src: path.join(srcPath, 'folder1'), dest: distPath, flatten: 'prefix' }]);
+
+      const files = await fs.readdir(distPath);
+      expect(files).to.have.members(['folder1-file3.txt', 'folder1-folder2-file4.txt']);
+    });
+
+    it('should drop leading folders or map paths with a function', async () => {
+      await copy([
+        { src: path.join(srcPath, 'folder1'), dest: path.join(distPath, 'strip'), flatten: 1 },
+        { src: path.join(srcPath, 'folder1'), dest: path.join(distPath, 'fn'), flatten: relativePath => relativePath.toUpperCase() }
+      ]);
+
+      const stripped = await fs.readFile(path.join(distPath, 'strip', 'folder2', 'file4.txt'), 'utf8');
+      const mapped = await fs.readFile(path.join(distPath, 'fn', 'FOLDER1', 'FOLDER2', 'FILE4.TXT'), 'utf8');
+      expect(stripped).to.equal('File 4 content');
+      expect(mapped).to.equal('File 4 content');
+      const files = await fs.readdir(path.join(distPath, 'strip'));
+      expect(files).to.have.members(['file3.txt', 'folder2']);
+    });
+
+    it('should report collisions of real runs', async () => {
+      await fs.mkdir(path.join(distPath, 'a'));
+      await fs.mkdir(path.join(distPath, 'b'));
+      await fs.writeFile(path.join(distPath, 'a', 'index.js'), 'a');
+      await fs.writeFile(path.join(distPath, 'b', 'index.js'), 'b');
+
+      const report = await copy([{
+        src: [path.join(distPath, 'a'), path.join(distPath, 'b')],
+        dest: path.join(distPath, 'out'),
+        flatten: true,
+        conflictResolution: 'rename'
+      }]);
+
+      expect(report.warnings.map(warning => warning.code)).to.deep.equal(['ECOLLISION']);
+      const files = await fs.readdir(path.join(distPath, 'out'));
+      expect(files).to.have.members(['index.js', 'index_1.js']);
+    });
+  });
+
+  describe('Glob and Filter Tests', () => {
+    it('should expand glob patterns relative to the glob base', async () => {
+      await copy([{
+        src: path.join(srcPath, '**/*.txt'),
+        dest: distPath
+      }]);
+
+      const deepFile = await fs.readFile(path.join(distPath, 'folder1', 'folder2', 'file4.txt'), 'utf8');
+      expect(deepFile).to.equal('File 4 content');
+      const files = await fs.readdir(distPath);
+      expect(files).to.include.members(['file1.txt', 'robots.txt', 'folder1', 'folder3']);
+      expect(files).to.not.include('_redirects');
+    });
+
+    it('should support brace alternatives and negated patterns', async () => {
+      await copy([{
+        src: [path.join(srcPath, '*.{txt,ico}'), '!' + path.join(srcPath, 'file2.txt')],
+        dest: distPath
+      }]);
+
+      const files = await fs.readdir(distPath);
+      expect(files).to.have.members(['file1.txt', 'robots.txt', 'favicon.ico']);
+    });
+
+    it('should copy existing paths with glob characters and warn about empty matches', async () => {
+      const memoryFs = createMemoryFs({ files: { '/pages/[id].js': 'Page', '/pages/i.js': 'I' } });
+
+      const report = await copy([{ src: ['/pages/[id].js', '/pages/*.css'], dest: '/out' }], { fs: memoryFs });
+
+      expect(report.files.map(entry => entry.dest)).to.deep.equal([path.resolve('/out/[id].js')]);
+      expect(report.warnings.map(warning => warning.code)).to.deep.equal(['ENOMATCH']);
+      expect(await memoryFs.readFile('/out/[id].js', 'utf8')).to.equal('Page');
+    });
+
+    it('should apply include and exclude filters during recursion', async () => {
+      await copy([{
+        src: srcPath,
+        dest: distPath,
+        include: '*.txt',
+        exclude: ['folder2', relativePath => relativePath.endsWith('file5.txt')]
+      }]);
+
+      const root = path.join(distPath, 'src');
+      const hasFile3 = await fs.access(path.join(root, 'folder1', 'file3.txt')).then(() => true, () => false);
+      const hasFolder2 = await fs.access(path.join(root, 'folder1', 'folder2')).then(() => true, () => false);
+      const hasFile5 = await fs.access(path.join(root, 'folder3', 'file5.txt')).then(() => true, () => false);
+      const hasHeaders = await fs.access(path.join(root, '_headers')).then(() => true, () => false);
+
+      expect(hasFile3).to.be.true;
+      expect(hasFolder2).to.be.false;
+      expect(hasFile5).to.be.false;
+      expect(hasHeaders).to.be.false;
+    });
+  });
+
+  describe('Mirror Tests', () => {
+    it('should delete destination entries missing from the source', async () => {
+      const root = path.join(distPath, 'folder1');
+      await fs.mkdir(path.join(root, 'stale', 'empty'), { recursive: true });
+      await fs.writeFile(path.join(root, 'old.txt'), 'Old');
+
+      await copy([{
+        src: path.join(srcPath, 'folder1'),
+        dest: distPath,
+        mirror: true
+      }]);
+
+      const files = await fs.readdir(root);
+      expect(files).to.have.members(['file3.txt', 'folder2']);
+    });
+
+    it('should keep protected, excluded and depth-limited entries', async () => {
+      const root = path.join(distPath, 'folder1');
+      await fs.mkdir(path.join(root, 'folder2'), { recursive: true });
+      await fs.writeFile(path.join(root, 'folder2', 'extra.txt'), 'Extra');
+      await fs.writeFile(path.join(root, 'keep.txt'), 'Keep');
+      await fs.writeFile(path.join(root, 'notes.md'), 'Notes');
+
+      await copy([{
+        src: path.join(srcPath, 'folder1'),
+        dest: distPath,
+        depth: 1,
+        exclude: '*.md',
+        protect: 'folder1/keep.txt',
+        mirror: true
+      }]);
+
+      const files = await fs.readdir(root);
+      expect(files).to.have.members(['file3.txt', 'folder2', 'keep.txt', 'notes.md']);
+      const extra = await fs.readFile(path.join(root, 'folder2', 'extra.txt'), 'utf8');
+      expect(extra).to.equal('Extra');
+    });
+
+    it('should not delete anything when a source folder cannot be read', async () => {
+      const memoryFs = createMemoryFs({ files: { '/src/sub/a.txt': 'A', '/src/b.txt': 'B', '/out/src/sub/a.txt': 'A', '/out/src/stale.txt': 'Stale' } });
+      const srcFs = {
+        ...memoryFs,
+        readdir: async (dir, options) => {
+          if (path.resolve(dir) === path.resolve('/src/sub')) throw Object.assign(new Error('EIO: i/o error'), { code: 'EIO' });
+          return memoryFs.readdir(dir, options);
+        }
+      };
+
+      const report = await copy([{ src: '/src', dest: '/out', srcFs, destFs: memoryFs, mirror: true }]);
+
+      expect(report.errors.map(err => err.code)).to.deep.equal(['EIO']);
+      expect(report.files.filter(entry => entry.action === 'deleted')).to.be.empty;
+      expect(report.warnings.map(warning => warning.code)).to.deep.equal(['EPRUNE']);
+      expect(await memoryFs.readdir('/out/src')).to.deep.equal(['b.txt', 'stale.txt', 'sub']);
+    });
+
+    it('should keep files written by earlier tasks of the run', async () => {
+      const memoryFs = createMemoryFs({ files: { '/css/s.css': 'S', '/img/i.png': 'I', '/img/sprites/x.png': 'X', '/dist/old.png': 'Old' } });
+
+      const report = await copy([
+        { src: '/css/*.css', dest: '/dist' },
+        { src: '/img/**/*.png', dest: '/dist', mirror: true }
+      ], { fs: memoryFs });
+
+      expect(report.files.filter(entry => entry.action === 'deleted').map(entry => entry.dest)).to.deep.equal([path.resolve('/dist/old.png')]);
+      expect(await memoryFs.readdir('/dist')).to.deep.equal(['i.png', 's.css', 'sprites']);
+    });
+
+    it('should log deletions in brief mode', async () => {
+      await fs.mkdir(path.join(distPath, 'folder3'), { recursive: true });
+      await fs.writeFile(path.join(distPath, 'folder3', 'old.txt'), 'Old');
+
+      await copy([{
+        src: path.join(srcPath, 'folder3'),
+        dest: distPath,
+        mirror: true,
+        logLevel: 'brief'
+      }]);
+
+      const logs = consoleLogStub.args.map(args => args[0]).join('\n');
+      expect(logs).to.include('⌫');
+    });
+  });
+
+  describe('Transform Tests', () => {
+    it('should transform matching files and report them', async () => {
+      const report = await copy([{
+        src: [path.join(srcPath, 'file1.txt'), path.join(srcPath, '_headers')],
+        dest: distPath,
+        transform: {
+          '*.txt': (contents, file) => `${file.relative}: ${contents.toString().toUpperCase()}`
+        }
+      }]);
+
+      const file1 = await fs.readFile(path.join(distPath, 'file1.txt'), 'utf8');
+      const headers = await fs.readFile(path.join(distPath, '_headers'), 'utf8');
+      expect(file1).to.equal('file1.txt: FILE 1 CONTENT');
+      expect(headers).to.equal('Headers content');
+      expect(report.files.map(entry => entry.transformed)).to.deep.equal([true, false]);
+      expect(report.files[0].bytes).to.equal(file1.length);
+    });
+
+    it('should pass readable streams with transformStreams', async () => {
+      await copy([{
+        src: path.join(srcPath, 'folder3'),
+        dest: distPath,
+        transformStreams: true,
+        transform: contents => contents.pipe(new Transform({
+          transform(chunk, encoding, callback) {
+            callback(null, chunk.toString().replace('content', 'changed'));
+          }
+        }))
+      }]);
+
+      const file5 = await fs.readFile(path.join(distPath, 'folder3', 'file5.txt'), 'utf8');
+      expect(file5).to.equal('File 5 changed');
+    });
+
+    it('should rename files with templates and functions', async () => {
+      await fs.writeFile(path.join(srcPath, 'folder3', 'config.json.example'), '{}');
+
+      await copy([
+        { src: path.join(srcPath, 'folder3'), dest: path.join(distPath, 'map'), rename: { '*.example': '{name}', 'file5.txt': 'five{ext}' } },
+        { src: path.join(srcPath, 'file1.txt'), dest: path.join(distPath, 'fn'), rename: (fileName, file) => `${file.stats.size}-${fileName}` }
+      ]);
+      await fs.rm(path.join(srcPath, 'folder3', 'config.json.example'));
+
+      const mapped = await fs.readdir(path.join(distPath, 'map', 'folder3'));
+      const renamed = await fs.readdir(path.join(distPath, 'fn'));
+      expect(mapped).to.have.members(['config.json', 'five.txt']);
+      expect(renamed).to.deep.equal(['14-file1.txt']);
+    });
+  });
+
+  describe('Symlink Tests', () => {
+    const linkSrc = path.join(distPath, 'links');
+
+    beforeEach(async () => {
+      await fs.mkdir(path.join(linkSrc, 'dir'), { recursive: true });
+      await fs.writeFile(path.join(linkSrc, 'dir', 'a.txt'), 'A');
+      await fs.symlink('dir/a.txt', path.join(linkSrc, 'relative.txt'));
+      await fs.symlink(path.join(linkSrc, 'dir'), path.join(linkSrc, 'absolute'));
+      await fs.symlink(path.join(srcPath, 'file1.txt'), path.join(linkSrc, 'outside.txt'));
+    });
+
+    it('should preserve links and rewrite their targets', async () => {
+      const dest = path.join(distPath, 'out');
+      const report = await copy([{ src: linkSrc, dest, symlinks: 'preserve' }]);
+
+      const root = path.join(dest, 'links');
+      expect(report.errors).to.be.empty;
+      expect(await fs.readlink(path.join(root, 'relative.txt'))).to.equal(path.join('dir', 'a.txt'));
+      expect(await fs.readlink(path.join(root, 'absolute'))).to.equal('dir');
+      expect(await fs.readlink(path.join(root, 'outside.txt'))).to.equal(path.join(srcPath, 'file1.txt'));
+      expect(await fs.readFile(path.join(root, 'absolute', 'a.txt'), 'utf8')).to.equal('A');
+    });
+
+    it('should skip links', async () => {
+      const dest = path.join(distPath, 'out');
+      await copy([{ src: linkSrc, dest, symlinks: 'skip' }]);
+
+      const files = await fs.readdir(path.join(dest, 'links'));
+      expect(files).to.deep.equal(['dir']);
+    });
+
+    it('should follow links, stopping at cycles and warning about dangling links', async () => {
+      await fs.symlink('..', path.join(linkSrc, 'dir', 'loop'));
+      await fs.symlink('missing.txt', path.join(linkSrc, 'dangling.txt'));
+      const dest = path.join(distPath, 'out');
+      const report = await copy([{ src: linkSrc, dest }]);
+
+      const root = path.join(dest, 'links');
+      expect(report.errors).to.be.empty;
+      expect(report.warnings.map(warning => warning.code)).to.include.members(['EDANGLING', 'ECYCLE']);
+      expect(await fs.readFile(path.join(root, 'absolute', 'a.txt'), 'utf8')).to.equal('A');
+      expect((await fs.lstat(path.join(root, 'relative.txt'))).isFile()).to.be.true;
+      const loop = await fs.readdir(path.join(root, 'dir'));
+      expect(loop).to.have.members(['a.txt']);
+    });
+  });
+
+  describe('Metadata Tests', () => {
+    const metaSrc = path.join(distPath, 'meta');
+    const past = new Date('2020-01-01T00:00:00Z');
+
+    beforeEach(async () => {
+      await fs.mkdir(path.join(metaSrc, 'bin'), { recursive: true });
+      await fs.writeFile(path.join(metaSrc, 'bin', 'run.sh'), '#!/bin/sh\n');
+      await fs.chmod(path.join(metaSrc, 'bin', 'run.sh'), 0o755);
+      await fs.utimes(path.join(metaSrc, 'bin', 'run.sh'), past, past);
+      await fs.utimes(path.join(metaSrc, 'bin'), past, past);
+    });
+
+    it('should preserve modes and timestamps of files and directories', async () => {
+      const dest = path.join(distPath, 'out');
+      await copy([{ src: metaSrc, dest, preserve: ['mode', 'timestamps'] }], { concurrency: 4 });
+
+      const script = await fs.stat(path.join(dest, 'meta', 'bin', 'run.sh'));
+      const dir = await fs.stat(path.join(dest, 'meta', 'bin'));
+      expect(script.mode & 0o777).to.equal(0o755);
+      expect(script.mtime.getTime()).to.equal(past.getTime());
+      expect(dir.mtime.getTime()).to.equal(past.getTime());
+    });
+
+    it('should keep preserved files unchanged on update', async () => {
+      await fs.writeFile(path.join(metaSrc, 'fresh.txt'), 'Fresh');
+      const task = { src: metaSrc, dest: path.join(distPath, 'out'), preserve: ['timestamps', 'ownership'], conflictResolution: 'update' };
+      await copy([task]);
+      const report = await copy([task]);
+
+      const source = await fs.stat(path.join(metaSrc, 'fresh.txt'));
+      const copied = await fs.stat(path.join(distPath, 'out', 'meta', 'fresh.txt'));
+      expect(Math.abs(copied.mtimeMs - source.mtimeMs)).to.be.below(1);
+      expect(copied.uid).to.equal(source.uid);
+      expect(report.errors).to.be.empty;
+      expect(report.files.map(entry => entry.action)).to.deep.equal(['unchanged', 'unchanged']);
+    });
+  });
+
+  describe('Atomic and Transaction Tests', () => {
+    it('should replace files atomically', async () => {
+      const target = path.join(distPath, 'file1.txt');
+      await fs.writeFile(target, 'Old');
+      const { ino } = await fs.stat(target);
+
+      await copy([{ src: path.join(srcPath, 'file1.txt'), dest: distPath, atomic: true }]);
+
+      const files = await fs.readdir(distPath);
+      expect(files).to.deep.equal(['file1.txt']);
+      expect(await fs.readFile(target, 'utf8')).to.equal('File 1 content');
+      expect((await fs.stat(target)).ino).to.not.equal(ino);
+    });
+
+    it('should keep the destination when an atomic write with backup fails', async () => {
+      await fs.writeFile(path.join(distPath, 'file1.txt'), 'Existing');
+
+      const report = await copy([{
+        src: path.join(srcPath, 'file1.txt'),
+        dest: distPath,
+        atomic: true,
+        conflictResolution: 'backup',
+        transform: () => {
+          throw new Error('Transform failed');
+        }
+      }]);
+
+      expect(report.errors).to.have.lengthOf(1);
+      const files = await fs.readdir(distPath);
+      expect(files).to.deep.equal(['file1.txt']);
+      expect(await fs.readFile(path.join(distPath, 'file1.txt'), 'utf8')).to.equal('Existing');
+    });
+
+    it('should commit a transaction once every file was copied', async () => {
+      const report = await copy([{ src: path.join(srcPath, 'folder1'), dest: distPath, transaction: true }], { concurrency: 4 });
+
+      expect(report.warnings).to.be.empty;
+      expect(report.files.map(entry => path.basename(entry.dest))).to.deep.equal(['file3.txt', 'file4.txt']);
+      const file4 = await fs.readFile(path.join(distPath, 'folder1', 'folder2', 'file4.txt'), 'utf8');
+      expect(file4).to.equal('File 4 content');
+      const files = await fs.readdir(path.join(distPath, 'folder1'));
+      expect(files).to.have.members(['file3.txt', 'folder2']);
+    });
+
+    it('should discard the staged files when a commit fails with failFast', async () => {
+      const memoryFs = createMemoryFs({ files: { '/src/a.txt': 'A', '/src/b.txt': 'B' } });
+      const failingFs = {
+        ...memoryFs,
+        rename: async (oldPath, newPath) => {
+          if (path.basename(newPath) === 'a.txt') throw Object.assign(new Error('EACCES: permission denied'), { code: 'EACCES' });
+          return memoryFs.rename(oldPath, newPath);
+        }
+      };
+      let error;
+      try {
+        await copy([{ src: '/src', dest: '/out', transaction: true, failFast: true }], { fs: failingFs });
+      } catch (err) {
+        error = err;
+      }
+
+      expect(error).to.include({ code: 'EACCES' });
+      expect(error.report.files).to.be.empty;
+      expect(await memoryFs.readdir('/out/src')).to.be.empty;
+    });
+
+    it('should only report the files a transaction committed', async () => {
+      const memoryFs = createMemoryFs({ files: { '/src/a.txt': 'A', '/src/b.txt': 'B' } });
+      const failingFs = {
+        ...memoryFs,
+        rename: async (oldPath, newPath) => {
+          if (path.basename(newPath) === 'a.txt') throw Object.assign(new Error('EACCES: permission denied'), { code: 'EACCES' });
+          return memoryFs.rename(oldPath, newPath);
+        }
+      };
+      const copied = [];
+
+      const report = await copy([{ src: '/src', dest: '/out', transaction: true }], { fs: failingFs, onFile: entry => copied.push(entry.dest) });
+
+      expect(report.errors.map(err => err.code)).to.deep.equal(['EACCES']);
+      expect(report.files.map(entry => entry.dest)).to.deep.equal([path.resolve('/out/src/b.txt')]);
+      expect(copied).to.deep.equal([path.resolve('/out/src/b.txt')]);
+      expect(await memoryFs.readdir('/out/src')).to.deep.equal(['b.txt']);
+    });
+
+    it('should roll back a failed transaction', async () => {
+      await fs.mkdir(path.join(distPath, 'folder1'));
+      await fs.writeFile(path.join(distPath, 'folder1', 'file3.txt'), 'Old');
+
+      let error;
+      try {
+        await copy([{
+          src: [path.join(srcPath, 'folder1'), path.join(srcPath, 'missing')],
+          dest: distPath,
+          transaction: true,
+          failFast: true
+        }], { concurrency: 4 });
+      } catch (err) {
+        error = err;
+      }
+
+      expect(error).to.be.instanceOf(CopyError);
+      expect(error.report.warnings.map(warning => warning.code)).to.deep.equal(['EVALIDATE', 'EROLLBACK']);
+      expect(error.report.files).to.be.empty;
+      const files = await fs.readdir(path.join(distPath, 'folder1'));
+      expect(files).to.deep.equal(['file3.txt']);
+      expect(await fs.readFile(path.join(distPath, 'folder1', 'file3.txt'), 'utf8')).to.equal('Old');
+    });
+  });
+
+  describe('Archive Tests', () => {
+    it('should write folders into archives and copy archives back out', async () => {
+      await copy([
+        { src: path.join(srcPath, 'folder1'), dest: path.join(distPath, 'release.zip') },
+        { src: path.join(srcPath, 'folder1'), dest: path.join(distPath, 'release.tar.gz') }
+      ]);
+      const report = await copy([
+        { src: path.join(distPath, 'release.zip'), dest: path.join(distPath, 'zip'), extract: true },
+        { src: path.join(distPath, 'release.tar.gz'), dest: path.join(distPath, 'tar'), flatten: 1, extract: true }
+      ]);
+
+      expect(report.errors).to.be.empty;
+      const fromZip = await fs.readFile(path.join(distPath, 'zip', 'release', 'folder1', 'folder2', 'file4.txt'), 'utf8');
+      const fromTar = await fs.readFile(path.join(distPath, 'tar', 'folder1', 'folder2', 'file4.txt'), 'utf8');
+      expect(fromZip).to.equal('File 4 content');
+      expect(fromTar).to.equal('File 4 content');
+    });
+
+    it('should copy archive sources as files unless extracting', async () => {
+      await copy([{ src: path.join(srcPath, 'folder3'), dest: path.join(distPath, 'bundle.zip') }]);
+
+      const report = await copy([{ src: path.join(distPath, '*.zip'), dest: path.join(distPath, 'assets') }]);
+
+      expect(report.files.map(entry => path.relative(distPath, entry.dest))).to.deep.equal([path.join('assets', 'bundle.zip')]);
+      const copied = await fs.readFile(path.join(distPath, 'assets', 'bundle.zip'));
+      expect(copied.equals(await fs.readFile(path.join(distPath, 'bundle.zip')))).to.be.true;
+    });
+
+    it('should apply conflict rules to existing archive entries', async () => {
+      const task = { src: path.join(srcPath, 'folder1'), dest: path.join(distPath, 'release.tar'), conflictResolution: 'update' };
+      await copy([task]);
+      const { mtimeMs } = await fs.stat(path.join(distPath, 'release.tar'));
+
+      const report = await copy([task]);
+
+      expect(report.files.map(entry => entry.action)).to.deep.equal(['unchanged', 'unchanged']);
+      expect((await fs.stat(path.join(distPath, 'release.tar'))).mtimeMs).to.equal(mtimeMs);
+    });
+
+    it('should report archives that cannot be read', async () => {
+      await fs.writeFile(path.join(distPath, 'broken.zip'), 'Not a zip');
+
+      const report = await copy([{ src: [path.join(distPath, 'broken.zip'), path.join(srcPath, 'file1.txt')], dest: path.join(distPath, 'out'), extract: true }]);
+
+      expect(report.errors.map(error => error.code)).to.deep.equal(['EARCHIVE']);
+      expect(report.files.map(entry => path.basename(entry.dest))).to.deep.equal(['file1.txt']);
+    });
+  });
+
+  describe('Filesystem Adapter Tests', () => {
+    it('should copy between in-memory filesystems without touching the disk', async () => {
+      const srcFs = createMemoryFs({ files: { '/site/index.html': 'Home', '/site/css/main.css': 'Styles', '/site/empty/': null } });
+      const destFs = createMemoryFs({ files: { '/public/site/old.html': 'Old' } });
+
+      const report = await copy([{ src: '/site', dest: '/public', srcFs, destFs, mirror: true }]);
+
+      expect(report.errors).to.be.empty;
+      expect(await destFs.readdir('/public/site')).to.deep.equal(['css', 'empty', 'index.html']);
+      expect(await destFs.readFile('/public/site/css/main.css', 'utf8')).to.equal('Styles');
+      expect(await fs.access('/site').then(() => true, () => false)).to.be.false;
+    });
+
+    it('should use the adapter of the run for globs and conflicts', async () => {
+      const memoryFs = createMemoryFs({ files: { '/in/a.txt': 'A', '/in/b.md': 'B', '/out/a.txt': 'Old' } });
+
+      const report = await copy([{ src: '/in/*.txt', dest: '/out', conflictResolution: 'rename' }], { fs: memoryFs });
+
+      expect(report.files.map(entry => entry.dest)).to.deep.equal([path.resolve('/out/a_1.txt')]);
+      expect(await memoryFs.readFile('/out/a_1.txt', 'utf8')).to.equal('A');
+    });
+
+    it('should copy from the disk to adapters implementing the minimal interface', async () => {
+      const store = createMemoryFs();
+      const { stat, readdir, mkdir, access, rm, createWriteStream } = store;
+      const minimalFs = { stat, readdir, mkdir, access, rm, createWriteStream };
+
+      const report = await copy([{ src: path.join(srcPath, 'folder1'), dest: '/backup', destFs: minimalFs }]);
+
+      expect(report.errors).to.be.empty;
+      expect(await store.readFile('/backup/folder1/folder2/file4.txt', 'utf8')).to.equal('File 4 content');
+      const { errors } = await validate([
+        { src: srcPath, dest: '/backup', destFs: minimalFs, atomic: true },
+        { src: srcPath, dest: '/backup', fs: { stat } }
+      ]);
+      expect(errors.map(issue => `${issue.task}.${issue.key}`)).to.deep.equal(['0.atomic', '1.fs']);
+    });
+  });
+
+  describe('Cancellation and Resume Tests', () => {
+    const journal = path.join(distPath, 'journal.json');
+
+    it('should stop between files and resume from the journal', async () => {
+      const controller = new AbortController();
+      const task = { src: path.join(srcPath, 'folder1'), dest: path.join(distPath, 'out'), journal };
+      let error;
+      try {
+        await copy([task], { signal: controller.signal, onFile: () => controller.abort() });
+      } catch (err) {
+        error = err;
+      }
+
+      expect(error).to.be.instanceOf(AbortError);
+      expect(error.code).to.equal('ABORT_ERR');
+      expect(error.report.files).to.have.lengthOf(1);
+      const { files } = JSON.parse(await fs.readFile(journal, 'utf8'));
+      expect(Object.keys(files)).to.deep.equal([error.report.files[0].src]);
+
+      const report = await copy([{ ...task, resume: true }]);
+
+      expect(report.files.map(entry => entry.action).sort()).to.deep.equal(['copied', 'unchanged']);
+      expect(report.files.find(entry => entry.action === 'unchanged').src).to.equal(error.report.files[0].src);
+      const content = await fs.readFile(path.join(distPath, 'out', 'folder1', 'folder2', 'file4.txt'), 'utf8');
+      expect(content).to.equal('File 4 content');
+    });
+
+    it('should interrupt a streamed copy and remove the partial file', async () => {
+      const controller = new AbortController();
+      const transform = () => Readable.from((async function* () {
+        yield 'partial';
+        controller.abort(new Error('Stopped by the test'));
+        for (;;) {
+          await wait(10);
+          yield 'more';
+        }
+      })());
+      let error;
+      try {
+        await copy([{ src: path.join(srcPath, 'file1.txt'), dest: distPath, transform }], { signal: controller.signal });
+      } catch (err) {
+        error = err;
+      }
+
+      expect(error).to.be.instanceOf(AbortError);
+      expect(error.cause.message).to.equal('Stopped by the test');
+      expect(error.report.files).to.be.empty;
+      expect(error.report.errors).to.be.empty;
+      const files = await fs.readdir(distPath);
+      expect(files).to.be.empty;
+    });
+
+    it('should copy again files changed since the journal recorded them', async () => {
+      const resumeSrc = path.join(distPath, 'resume-src');
+      const resumeDest = path.join(distPath, 'resume-dest');
+      await fs.mkdir(resumeSrc);
+      await fs.writeFile(path.join(resumeSrc, 'a.txt'), 'A');
+      await fs.writeFile(path.join(resumeSrc, 'b.txt'), 'B');
+      await fs.writeFile(path.join(resumeSrc, 'c.txt'), 'C');
+      const task = { src: path.join(resumeSrc, '*.txt'), dest: resumeDest, journal, resume: true };
+      await copy([task]);
+
+      await fs.writeFile(path.join(resumeSrc, 'a.txt'), 'A changed');
+      await fs.writeFile(path.join(resumeDest, 'b.txt'), 'B edited');
+      const report = await copy([task]);
+
+      const actions = Object.fromEntries(report.files.map(entry => [path.basename(entry.dest), entry.action]));
+      expect(actions).to.deep.equal({ 'a.txt': 'overwritten', 'b.txt': 'overwritten', 'c.txt': 'unchanged' });
+      expect(await fs.readFile(path.join(resumeDest, 'b.txt'), 'utf8')).to.equal('B');
+      const { errors } = await validate([{ src: resumeSrc, dest: resumeDest, resume: true }], { signal: 'stop' });
+      expect(errors.map(issue => `${issue.task}.${issue.key}`)).to.deep.equal(['null.signal', '0.resume']);
+    });
+  });
+
+  describe('Validation Tests', () => {
+    it('should report unknown options, wrong types and missing paths', async () => {
+      const { valid, errors } = await validate([
+        { src: srcPath, dest: distPath, flaten: true, conflictResolution: 'renmae', depth: -1 },
+        { dest: distPath, include: 42 }
+      ]);
+
+      expect(valid).to.be.false;
+      expect(errors.map(issue => `${issue.task}.${issue.key}`)).to.deep.equal([
+        '0.flaten', '0.conflictResolution', '0.depth', '1.include', '1.src'
+      ]);
+      expect(errors[0].message).to.include("did you mean 'flatten'?");
+      expect(errors[1].message).to.include("did you mean 'rename'?");
+    });
+
+    it('should reject destinations inside their source and warn about missing sources', async () => {
+      const { errors, warnings } = await validate([
+        { src: srcPath, dest: path.join(srcPath, 'out') },
+        { src: path.join(srcPath, '*'), dest: path.join(srcPath, 'folder1', 'out') },
+        { src: path.join(srcPath, 'missing'), dest: distPath }
+      ]);
+
+      expect(errors.map(issue => issue.task)).to.deep.equal([0, 1]);
+      expect(warnings.map(issue => issue.task)).to.deep.equal([2]);
+    });
+
+    it('should reject invalid configurations before copying', async () => {
+      const tasks = [{ src: path.join(srcPath, 'file1.txt'), dest: distPath, flaten: true }];
+      let error;
+      try {
+        await copy(tasks);
+      } catch (err) {
+        error = err;
+      }
+      const done = sinon.spy();
+      await copy(tasks, done);
+
+      expect(error).to.be.instanceOf(ValidationError);
+      expect(error).to.be.instanceOf(CopyError);
+      expect(error.issues).to.have.lengthOf(1);
+      expect(done.calledOnce).to.be.true;
+      expect(done.firstCall.args[0]).to.be.instanceOf(ValidationError);
+      const files = await fs.readdir(distPath);
+      expect(files).to.be.empty;
+    });
+
+    it('should add the validation warnings to the report', async () => {
+      const report = await copy([
+        { src: path.join(srcPath, 'missing'), dest: distPath },
+        { src: path.join(srcPath, 'file1.txt'), dest: distPath }
+      ]);
+
+      expect(report.warnings).to.have.lengthOf(1);
+      expect(report.warnings[0]).to.include({ code: 'EVALIDATE', src: null, dest: null });
+      expect(report.warnings[0].message).to.include('does not exist');
+      expect(report.files.map(entry => path.basename(entry.dest))).to.deep.equal(['file1.txt']);
+    });
+  });
+
+  describe('CLI Tests', () => {
+    const io = () => ({ cwd: distPath, log: sinon.spy(), error: sinon.spy() });
+
+    it('should copy sources given on the command line', async () => {
+      const code = await run([
+        path.join(srcPath, 'folder1'),
+        path.join(srcPath, 'file1.txt'),
+        path.join(distPath, 'out'),
+        '--depth', '1'
+      ], io());
+
+      expect(code).to.equal(0);
+      const files = await fs.readdir(path.join(distPath, 'out'));
+      expect(files).to.have.members(['folder1', 'file1.txt']);
+      const nested = await fs.readdir(path.join(distPath, 'out', 'folder1'));
+      expect(nested).to.deep.equal(['file3.txt']);
+    });
+
+    it('should accept a flatten strategy or a bare --flatten flag', async () => {
+      const prefixed = await run(['--flatten=prefix', '--flatten-separator', '_', path.join(srcPath, 'folder1'), path.join(distPath, 'prefix')], io());
+      const dropped = await run(['--flatten=1', path.join(srcPath, 'folder1'), path.join(distPath, 'dropped')], io());
+      const flat = await run(['-f', path.join(srcPath, 'folder1'), path.join(distPath, 'flat')], io());
+      const usage = io();
+      const invalid = await run(['--flatten=deep', path.join(srcPath, 'folder1'), distPath], usage);
+
+      expect([prefixed, dropped, flat, invalid]).to.deep.equal([0, 0, 0, 2]);
+      expect(await fs.readdir(path.join(distPath, 'prefix'))).to.have.members(['folder1_file3.txt', 'folder1_folder2_file4.txt']);
+      expect(await fs.readdir(path.join(distPath, 'dropped'))).to.have.members(['file3.txt', 'folder2']);
+      expect(await fs.readdir(path.join(distPath, 'flat'))).to.have.members(['file3.txt', 'file4.txt']);
+      expect(usage.error.firstCall.args[0]).to.include("--flatten must be a number of folders or 'prefix'");
+    });
+
+    it('should keep a numeric source following a bare --flatten flag', async () => {
+      await fs.mkdir(path.join(srcPath, '2024', 'q1'), { recursive: true });
+      await fs.writeFile(path.join(srcPath, '2024', 'q1', 'report.txt'), 'Report');
+      const cwd = process.cwd();
+      let code;
+      try {
+        process.chdir(srcPath);
+        code = await run(['--flatten', '2024', path.join(distPath, 'out')], io());
+      } finally {
+        process.chdir(cwd);
+      }
+
+      expect(code).to.equal(0);
+      expect(await fs.readdir(path.join(distPath, 'out'))).to.deep.equal(['report.txt']);
+    });
+
+    it('should run named tasks from a config file', async () => {
+      await fs.writeFile(path.join(distPath, 'copy.config.json'), JSON.stringify([
+        { name: 'text', src: path.join(srcPath, 'file1.txt'), dest: path.join(distPath, 'text') },
+        { name: 'icons', src: path.join(srcPath, 'favicon.ico'), dest: path.join(distPath, 'icons') }
+      ]));
+
+      const code = await run(['--task', 'icons'], io());
+
+      expect(code).to.equal(0);
+      const files = await fs.readdir(distPath);
+      expect(files).to.include('icons');
+      expect(files).to.not.include('text');
+    });
+
+    it('should load tasks from package.json', async () => {
+      await fs.writeFile(path.join(distPath, 'package.json'), JSON.stringify({
+        copyRecursive: [{ src: path.join(srcPath, 'file2.txt'), dest: path.join(distPath, 'out') }]
+      }));
+
+      const code = await run([], io());
+
+      expect(code).to.equal(0);
+      const files = await fs.readdir(path.join(distPath, 'out'));
+      expect(files).to.deep.equal(['file2.txt']);
+    });
+
+    it('should validate a config file without copying', async () => {
+      await fs.writeFile(path.join(distPath, 'copy.config.json'), JSON.stringify([
+        { src: path.join(srcPath, 'file1.txt'), dest: path.join(distPath, 'out'), logLvel: 'brief' }
+      ]));
+      const output = io();
+
+      const code = await run(['--validate'], output);
+
+      expect(code).to.equal(2);
+      expect(output.error.firstCall.args[0]).to.include("did you mean 'logLevel'?");
+      const files = await fs.readdir(distPath);
+      expect(files).to.deep.equal(['copy.config.json']);
+    });
+
+    it('should exit with a non-zero code when a copy fails', async () => {
+      const failed = await run([path.join(srcPath, 'nonexistent.txt'), distPath], io());
+      const usage = io();
+      const invalid = await run(['--task', 'missing'], usage);
+
+      expect(failed).to.equal(1);
+      expect(invalid).to.equal(2);
+      expect(usage.error.firstCall.args[0]).to.include('No sources given');
+    });
+  });
+
+  describe('Watch Tests', () => {
+    const watchSrc = path.join(distPath, 'watch-src');
+    const watchDest = path.join(distPath, 'watch-dest');
+    let handle;
+
+    beforeEach(async () => {
+      await fs.mkdir(path.join(watchSrc, 'nested'), { recursive: true });
+      await fs.writeFile(path.join(watchSrc, 'a.txt'), 'A');
+      await fs.writeFile(path.join(watchSrc, 'nested', 'b.txt'), 'B');
+      handle = await watch([{ src: watchSrc, dest: watchDest }], { debounce: 20 });
+    });
+
+    afterEach(async () => {
+      await handle.close();
+    });
+
+    it('should perform an initial copy', async () => {
+      const content = await fs.readFile(path.join(watchDest, 'watch-src', 'nested', 'b.txt'), 'utf8');
+      expect(content).to.equal('B');
+    });
+
+    it('should copy added and changed files', async () => {
+      await fs.writeFile(path.join(watchSrc, 'c.txt'), 'C');
+      await fs.writeFile(path.join(watchSrc, 'a.txt'), 'A changed');
+      await wait(300);
+
+      const added = await fs.readFile(path.join(watchDest, 'watch-src', 'c.txt'), 'utf8');
+      const changed = await fs.readFile(path.join(watchDest, 'watch-src', 'a.txt'), 'utf8');
+      expect(added).to.equal('C');
+      expect(changed).to.equal('A changed');
+    });
+
+    it('should remove deleted files and directories', async () => {
+      await fs.rm(path.join(watchSrc, 'nested'), { recursive: true });
+      await fs.rm(path.join(watchSrc, 'a.txt'));
+      await wait(300);
+
+      const files = await fs.readdir(path.join(watchDest, 'watch-src'));
+      expect(files).to.be.empty;
+    });
+
+    it('should keep syncing after a failFast error', async () => {
+      const failing = await watch([{
+        src: path.join(watchSrc, '*.txt'),
+        dest: path.join(distPath, 'fail-fast'),
+        failFast: true,
+        transform: (contents, { src }) => {
+          if (path.basename(src) === 'bad.txt') throw new Error('Transform failed');
+          return contents;
+        }
+      }], { debounce: 20 });
+      try {
+        await fs.writeFile(path.join(watchSrc, 'bad.txt'), 'Bad');
+        await wait(300);
+        await fs.writeFile(path.join(watchSrc, 'c.txt'), 'C');
+        await wait(300);
+      } finally {
+        await failing.close();
+      }
+
+      const files = await fs.readdir(path.join(distPath, 'fail-fast'));
+      expect(files).to.have.members(['a.txt', 'c.txt']);
+    });
+  });
+});